@@ -0,0 +1,86 @@
+'use strict';
+
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+
+/**
+ * Checkpoint store that keeps the last synced
+ * document id per key in a MongoDB collection
+ *
+ * @param {mongoose.Connection} connection
+ * @param {string} [collectionName]
+ * @constructor
+ */
+
+function CheckpointStore(connection, collectionName) {
+  this.collection = connection.collection(collectionName || 'mongoolastic_checkpoints');
+}
+
+/**
+ * Gets the last synced document id for a key
+ *
+ * @param {string} key
+ * @returns {Promise}
+ */
+
+CheckpointStore.prototype.get = function(key) {
+
+  return Bluebird.resolve(this.collection.findOne({_id: key}))
+    .then((checkpoint) => {
+      return checkpoint ? checkpoint.lastId : null;
+    });
+};
+
+/**
+ * Sets the last synced document id for a key
+ *
+ * @param {string} key
+ * @param {*} lastId
+ * @returns {Promise}
+ */
+
+CheckpointStore.prototype.set = function(key, lastId) {
+
+  const update = {$set: {lastId, updatedAt: new Date()}};
+  return Bluebird.resolve(this.collection.updateOne({_id: key}, update, {upsert: true}));
+};
+
+/**
+ * Clears the checkpoint for a key
+ *
+ * @param {string} key
+ * @returns {Promise}
+ */
+
+CheckpointStore.prototype.clear = function(key) {
+  return Bluebird.resolve(this.collection.deleteOne({_id: key}));
+};
+
+/**
+ * Checks if supplied object is a valid checkpoint store
+ *
+ * @param {Object} store
+ * @returns {boolean}
+ */
+
+function isValidStore(store) {
+  return _.isObject(store) &&
+    _.isFunction(store.get) &&
+    _.isFunction(store.set) &&
+    _.isFunction(store.clear);
+}
+
+/**
+ * Factory function that returns new CheckpointStore
+ *
+ * @param {mongoose.Connection} connection
+ * @param {string} [collectionName]
+ * @returns {CheckpointStore}
+ */
+
+function create(connection, collectionName) {
+  return new CheckpointStore(connection, collectionName);
+}
+
+module.exports.create = create;
+module.exports.isValidStore = isValidStore;
@@ -0,0 +1,80 @@
+'use strict';
+
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+
+/**
+ * Dead letter store that keeps failed bulk
+ * operations in a MongoDB collection, so they
+ * can be inspected and replayed later
+ *
+ * @param {mongoose.Connection} connection
+ * @param {string} [collectionName]
+ * @constructor
+ */
+
+function DeadLetterStore(connection, collectionName) {
+  this.collection = connection.collection(collectionName || 'mongoolastic_dead_letters');
+}
+
+/**
+ * Adds failed operations
+ *
+ * @param {Array<Object>} entries
+ * @returns {Promise}
+ */
+
+DeadLetterStore.prototype.add = function(entries) {
+  return Bluebird.resolve(this.collection.insertMany(entries));
+};
+
+/**
+ * Lists failed operations, oldest first
+ *
+ * @param {number} [limit]
+ * @returns {Promise}
+ */
+
+DeadLetterStore.prototype.list = function(limit) {
+
+  const cursor = this.collection.find({}).sort({createdAt: 1});
+  return Bluebird.resolve((limit ? cursor.limit(limit) : cursor).toArray());
+};
+
+/**
+ * Removes failed operations by id
+ *
+ * @param {Array} ids
+ * @returns {Promise}
+ */
+
+DeadLetterStore.prototype.remove = function(ids) {
+  return Bluebird.resolve(this.collection.deleteMany({_id: {$in: ids}}));
+};
+
+/**
+ * Checks if supplied object is a valid dead letter store.
+ * Only add is required, list and remove are needed for replays.
+ *
+ * @param {Object} store
+ * @returns {boolean}
+ */
+
+function isValidStore(store) {
+  return _.isObject(store) && _.isFunction(store.add);
+}
+
+/**
+ * Factory function that returns new DeadLetterStore
+ *
+ * @param {mongoose.Connection} connection
+ * @param {string} [collectionName]
+ * @returns {DeadLetterStore}
+ */
+
+function create(connection, collectionName) {
+  return new DeadLetterStore(connection, collectionName);
+}
+
+module.exports.create = create;
+module.exports.isValidStore = isValidStore;
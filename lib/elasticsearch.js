@@ -7,12 +7,16 @@ const elasticsearch = require('elasticsearch');
 const retry = require('bluebird-retry');
 const _ = require('lodash');
 const errors = require('./errors');
+const deadLetter = require('./dead-letter');
 
 util.inherits(ElasticsearchProvider, EventEmitter);
 
 /**
  * Elasticsearch provider
  *
+ * The refresh option sets the default refresh policy of writes:
+ * true (default), false or "wait_for"
+ *
  * @param {Object} [options]
  * @constructor
  */
@@ -35,12 +39,36 @@ function ElasticsearchProvider(options) {
     throw new errors.InvalidArgumentError('invalid-bulk-buffer-size');
   }
 
+  if (options && options.bulkRetries !== undefined && !_.isFinite(options.bulkRetries)) {
+    throw new errors.InvalidArgumentError('invalid-bulk-retries');
+  }
+
+  if (options && options.bulkRetryDelay && !_.isFinite(options.bulkRetryDelay)) {
+    throw new errors.InvalidArgumentError('invalid-bulk-retry-delay');
+  }
+
+  if (options && options.deadLetter && !deadLetter.isValidStore(options.deadLetter)) {
+    throw new errors.InvalidArgumentError('invalid-dead-letter');
+  }
+
+  if (options && options.refresh !== undefined && !this.isValidRefresh(options.refresh)) {
+    throw new errors.InvalidArgumentError('invalid-refresh');
+  }
+
   this.bulkBuffer = [];
   this.bulkTimer = null;
   this.bulkSize = options && options.bulkSize ? options.bulkSize : 2000;
   this.bulkBufferSize = options && options.bulkBufferSize ? options.bulkBufferSize : 4000;
   this.bulkTimeout = options && options.bulkTimeout ? options.bulkTimeout : 10000;
+  this.bulkRetries = options && _.isFinite(options.bulkRetries) ? options.bulkRetries : 3;
+  this.bulkRetryDelay = options && options.bulkRetryDelay ? options.bulkRetryDelay : 1000;
+  this.retryTimers = new Set();
+  this.pendingDeadLetters = new Set();
+  this.deadLetter = options && options.deadLetter ? options.deadLetter : null;
+  this.refreshPolicy = options && options.refresh !== undefined ? options.refresh : true;
   this.isFlushingBulkBuffer = false;
+  this.writeIndices = new Map();
+  this.deletedDocs = new Map();
   this.requestTimeout = 1000;
   this.client = null;
 }
@@ -84,12 +112,29 @@ ElasticsearchProvider.prototype.connect = function(hosts, callback) {
  * @param {string} type
  * @param {string} index
  * @param {boolean} useBulk
+ * @param {Object} [options]
+ * @param {string} [options.opType] - "create" does not overwrite existing documents
+ * @param {number} [options.version] - external version, documents
+ * are not overwritten by older versions
+ * @param {boolean|string} [options.refresh] - refresh policy (see constructor)
+ * @param {string} [options.routing] - custom routing of the document
+ * @param {string} [options.parent] - id of the parent document (see _parent mapping)
  * @param {Function} [callback]
  * @throws {InvalidArgumentError}
  * @returns {Promise}
  */
 
-ElasticsearchProvider.prototype.indexDoc = function(id, doc, type, index, useBulk, callback) {
+ElasticsearchProvider.prototype.indexDoc = function(id, doc, type, index, useBulk, options,
+  callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
 
   return Bluebird.resolve([id, doc, type, index])
     .spread((id, doc, type, index) => {
@@ -106,31 +151,147 @@ ElasticsearchProvider.prototype.indexDoc = function(id, doc, type, index, useBul
         throw new errors.InvalidArgumentError('invalid-index-name');
       }
 
+      if (!_.isUndefined(options.refresh) && !this.isValidRefresh(options.refresh)) {
+        throw new errors.InvalidArgumentError('invalid-refresh');
+      }
+
       // Remove _id field
       delete doc._id;
 
-      if (useBulk) {
+      const isVersioned = options.version !== undefined && options.version !== null;
 
-        const action = {index: {_index: index, _type: type, _id: id}};
-        return this.addToBulkBuffer(action, doc);
+      this.trackDeletedDoc(index, id, type, options.routing, false);
 
-      } else {
+      return this.writeToIndices(index, (index) => {
 
-        return this.client.index({
-          index,
-          type,
-          id,
-          body: doc,
-          refresh: true
-        });
+        if (useBulk) {
+
+          const opType = options.opType === 'create' ? 'create' : 'index';
+          const action = {[opType]: {_index: index, _type: type, _id: id}};
+
+          if (isVersioned) {
+            action[opType].version = options.version;
+            action[opType].version_type = 'external';
+          }
+
+          setRouting(action[opType], options.routing);
+          setParent(action[opType], options.parent);
+
+          return this.addToBulkBuffer(action, doc, {refresh: options.refresh});
+        }
+
+        const params = {index, type, id, body: doc, refresh: this.getRefresh(options.refresh)};
+
+        if (options.opType) {
+          params.opType = options.opType;
+        }
+
+        if (isVersioned) {
+          params.version = options.version;
+          params.versionType = 'external';
+        }
+
+        setRouting(params, options.routing);
+        setParent(params, options.parent);
+
+        // A version conflict means that the
+        // indexed document is already newer
+        return Bluebird.resolve(this.client.index(params))
+          .catch((err) => isVersioned && err.status === 409, () => null);
+      });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Partially updates a document in Elasticsearch.
+ * Only the supplied fields of the document are changed.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {string} id
+ * @param {Object} doc
+ * @param {string} type
+ * @param {string} index
+ * @param {boolean} useBulk
+ * @param {Object} [options]
+ * @param {boolean|string} [options.refresh] - refresh policy (see constructor)
+ * @param {string} [options.routing] - custom routing of the document
+ * @param {string} [options.parent] - id of the parent document (see _parent mapping)
+ * @param {Object} [options.upsert] - full document, which is indexed if the
+ * document is missing in the write index of a rebuild (see writeToIndices)
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @throws {DocumentNotFoundError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.updateDoc = function(id, doc, type, index, useBulk, options,
+  callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  return Bluebird.resolve([id, doc, type, index])
+    .spread((id, doc, type, index) => {
+
+      if (!this.isValidId(id)) {
+        throw new errors.InvalidArgumentError('invalid-id');
       }
+
+      if (!this.isValidType(type)) {
+        throw new errors.InvalidArgumentError('invalid-type');
+      }
+
+      if (!this.isValidIndex(index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      // Remove _id field
+      delete doc._id;
+
+      return this.writeToIndices(index, (index, isWriteIndex) => {
+
+        const body = isWriteIndex && options.upsert ? {doc, upsert: options.upsert} : {doc};
+
+        if (useBulk) {
+
+          const action = {update: {_index: index, _type: type, _id: id}};
+          setRouting(action.update, options.routing);
+          setParent(action.update, options.parent);
+
+          return this.addToBulkBuffer(action, body, {refresh: options.refresh});
+        }
+
+        const params = {index, type, id, body, refresh: this.getRefresh(options.refresh)};
+        setRouting(params, options.routing);
+        setParent(params, options.parent);
+
+        return this.client.update(params);
+      });
+    })
+    .catch((err) => {
+
+      if (err.status === 404) {
+        throw new errors.DocumentNotFoundError(err);
+      }
+
+      throw err;
     })
     .nodeify(callback);
 };
 
 /**
  * Flushes the buffer and performs bulk insert/delete
- * Because of it's decoupled nature, errors are emitted as events
+ * Because of it's decoupled nature, the result is emitted as
+ * flushed event with the flushed operations, the bulk response,
+ * the error (if the bulk request failed) and the written,
+ * skipped, retried and failed operations (see handleBulkResult)
  *
  */
 
@@ -141,20 +302,27 @@ ElasticsearchProvider.prototype.flushBulkBuffer = function() {
     this.bulkTimer = null;
   }
 
-  if (this.isFlushingBulkBuffer) {
+  if (this.isFlushingBulkBuffer || !this.bulkBuffer.length) {
     return;
   }
 
   this.isFlushingBulkBuffer = true;
 
   const body = [];
+  const operations = [];
   let operation = this.bulkBuffer.shift();
   let operationCount = 0;
 
   while (operation) {
 
     body.push(operation.action);
-    body.push(operation.doc);
+    operations.push(operation);
+
+    // Delete actions have no document
+    if (operation.doc) {
+      body.push(operation.doc);
+    }
+
     operationCount++;
 
     if (operationCount < this.bulkSize) {
@@ -165,15 +333,175 @@ ElasticsearchProvider.prototype.flushBulkBuffer = function() {
   }
 
   // Perform elasticsearch bulk operation
-  this.client.bulk({body, refresh: true}, (err) => {
+  const refresh = getBulkRefresh(operations.map((operation) => this.getRefresh(operation.refresh)));
 
-    if (err) {
-      this.emit(err);
-    }
+  this.client.bulk({body, refresh}, (err, res) => {
+
+    const result = this.handleBulkResult(operations, err, res);
 
     this.isFlushingBulkBuffer = false;
     this.tryFlushBulkBuffer();
+    this.emit('flushed', _.assign({operations, response: res || null, error: err || null}, result));
+  });
+};
+
+/**
+ * Checks the result of each operation of a bulk request.
+ * Operations that failed with a retryable status (429, 503 or
+ * a failed request without status) are added to the buffer again
+ * with exponential backoff, until bulkRetries is reached.
+ * Other failures are permanent and added to the dead letter store.
+ * Already existing documents of create operations and already newer
+ * documents of externally versioned operations are not a failure,
+ * but skipped, as the operation has not been written.
+ *
+ * Retried operations might be applied after more recent operations
+ * on the same document, unless they are externally versioned.
+ *
+ * @param {Array<Object>} operations
+ * @param {Error|null} err
+ * @param {Object} res
+ * @returns {Object}
+ */
+
+ElasticsearchProvider.prototype.handleBulkResult = function(operations, err, res) {
+
+  const items = res && res.items ? res.items : [];
+  const result = {written: [], skipped: [], retried: [], failed: []};
+
+  operations.forEach((operation, i) => {
+
+    const type = _.keys(operation.action)[0];
+    const item = items[i] ? items[i][_.keys(items[i])[0]] : null;
+    const status = err ? err.status : item && item.status;
+    let error = err;
+
+    if (!error && item && item.error) {
+      error = new errors.IndexOperationError(getItemErrorMessage(item), {status, item});
+    }
+
+    if (!error) {
+      result.written.push(operation);
+    } else if (status === 409 && isConflictSkipped(operation.action[type], type)) {
+      result.skipped.push(operation);
+    } else if (isRetryable(status) && (operation.attempts || 0) < this.bulkRetries) {
+      result.retried.push(operation);
+    } else {
+      result.failed.push({operation, status, error});
+    }
+  });
+
+  this.retryOperations(result.retried);
+  this.addDeadLetters(result.failed);
+
+  return result;
+};
+
+/**
+ * Adds operations to the bulk buffer again after a delay,
+ * which doubles with each attempt
+ *
+ * @param {Array<Object>} operations
+ */
+
+ElasticsearchProvider.prototype.retryOperations = function(operations) {
+
+  const attempts = _.groupBy(operations, (operation) => {
+    operation.attempts = (operation.attempts || 0) + 1;
+    return operation.attempts;
+  });
+
+  _.forOwn(attempts, (operations, attempt) => {
+
+    const delay = this.bulkRetryDelay * Math.pow(2, attempt - 1);
+    const timer = setTimeout(() => {
+
+      this.retryTimers.delete(timer);
+      this.bulkBuffer.push.apply(this.bulkBuffer, operations);
+      this.flushBulkBuffer();
+    }, delay);
+
+    this.retryTimers.add(timer);
+  });
+};
+
+/**
+ * Adds permanently failed operations to the dead letter store (if any).
+ * Errors of the store are emitted as dead-letter-error event.
+ *
+ * @param {Array<Object>} failures
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.addDeadLetters = function(failures) {
+
+  if (!this.deadLetter || !failures.length) {
+    return Bluebird.resolve();
+  }
+
+  const entries = failures.map((failure) => {
+
+    return {
+      action: failure.operation.action,
+      doc: failure.operation.doc || null,
+      status: failure.status || null,
+      error: failure.error.message,
+      attempts: (failure.operation.attempts || 0) + 1,
+      createdAt: new Date()
+    };
   });
+
+  const pending = Bluebird.resolve(entries)
+    .then((entries) => this.deadLetter.add(entries))
+    .catch((error) => {
+      this.emit('dead-letter-error', {entries, error});
+    })
+    .finally(() => {
+      this.pendingDeadLetters.delete(pending);
+    });
+
+  this.pendingDeadLetters.add(pending);
+  return pending;
+};
+
+/**
+ * Adds the operations of the dead letter store to the bulk buffer
+ * again and removes them from the store.
+ * Resolves with the number of replayed operations.
+ *
+ * @param {number} [limit]
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.replayDeadLetters = function(limit, callback) {
+
+  // Check if limit is provided
+  // or if the limit argument is actually the callback
+  if (callback === undefined && _.isFunction(limit)) {
+    callback = limit;
+    limit = undefined;
+  }
+
+  return Bluebird.resolve(limit)
+    .then((limit) => {
+
+      const store = this.deadLetter;
+
+      if (!store || !_.isFunction(store.list) || !_.isFunction(store.remove)) {
+        throw new errors.InvalidArgumentError('invalid-dead-letter');
+      }
+
+      return Bluebird.resolve(store.list(limit))
+        .then((entries) => {
+
+          return Bluebird.each(entries, (entry) => this.addToBulkBuffer(entry.action, entry.doc))
+            .then(() => store.remove(_.pluck(entries, '_id')))
+            .return(entries.length);
+        });
+    })
+    .nodeify(callback);
 };
 
 ElasticsearchProvider.prototype.tryFlushBulkBuffer = function() {
@@ -189,47 +517,354 @@ ElasticsearchProvider.prototype.tryFlushBulkBuffer = function() {
   }
 };
 
+/**
+ * Flushes the bulk buffer until it is empty. Resolves once the
+ * last bulk request, all retries and all additions to the
+ * dead letter store have completed.
+ *
+ * @param {Function} [callback]
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.flush = function(callback) {
+
+  return new Bluebird((resolve) => {
+
+    const check = () => {
+
+      if (!this.bulkBuffer.length && !this.isFlushingBulkBuffer && !this.retryTimers.size) {
+        return resolve();
+      }
+
+      this.once('flushed', check);
+      this.flushBulkBuffer();
+    };
+
+    check();
+  })
+  .then(() => Bluebird.all(Array.from(this.pendingDeadLetters)))
+  .return()
+  .nodeify(callback);
+};
+
+/**
+ * Stops the bulk timer and all pending retries
+ * and closes the connection to Elasticsearch.
+ * Operations in the bulk buffer are not flushed (see flush).
+ *
+ */
+
+ElasticsearchProvider.prototype.close = function() {
+
+  if (this.bulkTimer) {
+    clearTimeout(this.bulkTimer);
+    this.bulkTimer = null;
+  }
+
+  this.retryTimers.forEach((timer) => clearTimeout(timer));
+  this.retryTimers.clear();
+
+  if (this.client) {
+    this.client.close();
+    this.client = null;
+  }
+};
+
 /**
  * Adds an action and document to the bulk buffer
+ * If the buffer is full, a buffer-overflow event is
+ * emitted and adding is retried with backoff
  *
  * @param {Object} action
- * @param {Object} doc
+ * @param {Object} [doc]
+ * @param {Object} [options]
+ * @param {boolean|string} [options.refresh] - refresh policy (see constructor)
  * @param {Function} [callback]
  * @returns {Promise}
  */
 
-ElasticsearchProvider.prototype.addToBulkBuffer = function(action, doc, callback) {
+ElasticsearchProvider.prototype.addToBulkBuffer = function(action, doc, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
 
   return Bluebird.resolve([action, doc])
     .spread((action, doc) => {
 
-      return retry(() => {
+      let isOverflowing = false;
+
+      return retry(() => {
+
+        if (this.bulkBuffer.length >= this.bulkBufferSize) {
+
+          const error = new errors.BufferOverflowError('buffer-full');
+
+          // Emitted once per action, while adding is retried
+          if (!isOverflowing) {
+            isOverflowing = true;
+            this.emit('buffer-overflow', {action, error});
+          }
+
+          throw error;
+        }
+
+        this.bulkBuffer.push({action, doc, refresh: options.refresh});
+        this.tryFlushBulkBuffer();
+      }, {interval: 1000, backoff: 2, timeout: 60000});
+
+    }).nodeify(callback);
+};
+
+/**
+ * Performs a write on an index and, while the index is being
+ * rebuilt, on its write index as well. Documents missing in the
+ * write index are ignored there, as the rebuild will add them.
+ * Partial updates of missing documents would be lost though, as the
+ * rebuild might add an older version, thus the write is called
+ * with a flag for the write index to upsert the full document.
+ *
+ * @param {string} index
+ * @param {Function} write
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.writeToIndices = function(index, write) {
+
+  const writeIndex = this.writeIndices.get(index);
+
+  if (!writeIndex) {
+    return write(index);
+  }
+
+  const secondary = Bluebird.try(() => write(writeIndex, true))
+    .catch((err) => {
+
+      if (err.status !== 404) {
+        throw err;
+      }
+    });
+
+  return Bluebird.join(write(index), secondary, (res) => res);
+};
+
+/**
+ * Starts writing all documents of an index (or alias)
+ * to another index as well, e.g. while it is rebuilt.
+ *
+ * @param {string} index
+ * @param {string} writeIndex
+ * @throws {InvalidArgumentError}
+ */
+
+ElasticsearchProvider.prototype.addWriteIndex = function(index, writeIndex) {
+
+  if (!this.isValidIndex(index) || !this.isValidIndex(writeIndex)) {
+    throw new errors.InvalidArgumentError('invalid-index-name');
+  }
+
+  this.writeIndices.set(index, writeIndex);
+  this.deletedDocs.set(index, new Map());
+};
+
+/**
+ * Stops writing the documents of an index (or alias) to its write index
+ *
+ * @param {string} index
+ */
+
+ElasticsearchProvider.prototype.removeWriteIndex = function(index) {
+  this.writeIndices.delete(index);
+  this.deletedDocs.delete(index);
+};
+
+/**
+ * Keeps track of the documents deleted from an index while it has a
+ * write index. Documents that are indexed again are not tracked anymore.
+ *
+ * @param {string} index
+ * @param {string} id
+ * @param {string} type
+ * @param {string} [routing]
+ * @param {boolean} isDeleted
+ */
+
+ElasticsearchProvider.prototype.trackDeletedDoc = function(index, id, type, routing, isDeleted) {
+
+  const deletedDocs = this.deletedDocs.get(index);
+  const key = type + '/' + id;
+
+  if (!deletedDocs) {
+    return;
+  }
+
+  if (isDeleted) {
+    deletedDocs.set(key, {id, type, routing});
+  } else {
+    deletedDocs.delete(key);
+  }
+};
+
+/**
+ * Deletes the documents that have been deleted from an index
+ * from its write index again. A rebuild might have written them
+ * to the write index after they were deleted, e.g. when a batch
+ * was read before the deletion, but written afterwards.
+ * Documents missing in the write index are ignored.
+ *
+ * @param {string} index
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.removeDeletedDocs = function(index) {
+
+  const writeIndex = this.writeIndices.get(index);
+  const deletedDocs = this.deletedDocs.get(index);
+
+  if (!writeIndex || !deletedDocs) {
+    return Bluebird.resolve();
+  }
+
+  return Bluebird.map(Array.from(deletedDocs.values()), (doc) => {
+
+    return this.deleteDoc(doc.id, doc.type, writeIndex, false, {routing: doc.routing})
+      .catch(errors.DocumentNotFoundError, () => null);
+  }, {concurrency: 10});
+};
+
+/**
+ * Removes a document from Elasticsearch
+ * Returns a promise or optionally calls callback (if provided)
+ *
+ * @param {string} id
+ * @param {string} type
+ * @param {string} index
+ * @param {boolean|Function} [useBulk]
+ * @param {Object} [options]
+ * @param {boolean|string} [options.refresh] - refresh policy (see constructor)
+ * @param {string} [options.routing] - custom routing of the document
+ * @param {number} [options.version] - external version of the deleted
+ * document, newer documents are not deleted and the deletion keeps older
+ * versions from being indexed afterwards (as long as deletes are kept)
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @throws {DocumentNotFoundError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.deleteDoc = function(id, type, index, useBulk, options,
+  callback) {
+
+  // Check if useBulk is provided
+  // or if the useBulk argument is actually the callback
+  if (callback === undefined && options === undefined && _.isFunction(useBulk)) {
+    callback = useBulk;
+    useBulk = false;
+  }
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  return Bluebird.resolve([id, type, index])
+    .spread((id, type, index) => {
+
+      if (!this.isValidId(id)) {
+        throw new errors.InvalidArgumentError('invalid-id');
+      }
+
+      if (!this.isValidType(type)) {
+        throw new errors.InvalidArgumentError('invalid-type');
+      }
+
+      if (!this.isValidIndex(index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      if (!_.isUndefined(options.refresh) && !this.isValidRefresh(options.refresh)) {
+        throw new errors.InvalidArgumentError('invalid-refresh');
+      }
+
+      const isVersioned = options.version !== undefined && options.version !== null;
+
+      this.trackDeletedDoc(index, id, type, options.routing, true);
+
+      return this.writeToIndices(index, (index) => {
+
+        if (useBulk) {
+
+          const action = {delete: {_index: index, _type: type, _id: id}};
+
+          // The version of the deleted document equals the indexed version
+          if (isVersioned) {
+            action.delete.version = options.version;
+            action.delete.version_type = 'external_gte';
+          }
+
+          setRouting(action.delete, options.routing);
+
+          return this.addToBulkBuffer(action, undefined, {refresh: options.refresh});
+        }
 
-        if (this.bulkBuffer.length >= this.bulkBufferSize) {
-          throw new errors.BufferOverflowError('buffer-full');
+        const params = {index, type, id, refresh: this.getRefresh(options.refresh)};
+
+        if (isVersioned) {
+          params.version = options.version;
+          params.versionType = 'external_gte';
         }
 
-        this.bulkBuffer.push({action, doc});
-        this.tryFlushBulkBuffer();
-      }, {interval: 1000, backoff: 2, timeout: 60000});
+        // A version conflict means that the
+        // indexed document is already newer
+        return Bluebird.resolve(this.client.delete(setRouting(params, options.routing)))
+          .catch((err) => isVersioned && err.status === 409, () => null);
+      });
+    })
+    .catch((err) => {
 
-    }).nodeify(callback);
+      if (err.status === 404) {
+        throw new errors.DocumentNotFoundError(err);
+      }
+
+      throw err;
+    })
+    .nodeify(callback);
 };
 
 /**
- * Removes a document from Elasticsearch
+ * Gets a document from Elasticsearch
  * Returns a promise or optionally calls callback (if provided)
  *
  * @param {string} id
  * @param {string} type
  * @param {string} index
+ * @param {Object} [options]
+ * @param {string} [options.routing] - custom routing of the document
  * @param {Function} [callback]
  * @throws {InvalidArgumentError}
  * @throws {DocumentNotFoundError}
  * @returns {Promise}
  */
 
-ElasticsearchProvider.prototype.deleteDoc = function(id, type, index, callback) {
+ElasticsearchProvider.prototype.getDoc = function(id, type, index, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
 
   return Bluebird.resolve([id, type, index])
     .spread((id, type, index) => {
@@ -246,7 +881,7 @@ ElasticsearchProvider.prototype.deleteDoc = function(id, type, index, callback)
         throw new errors.InvalidArgumentError('invalid-index-name');
       }
 
-      return this.client.delete({index, type, id});
+      return this.client.get(setRouting({index, type, id}, options.routing));
     })
     .catch((err) => {
 
@@ -260,24 +895,36 @@ ElasticsearchProvider.prototype.deleteDoc = function(id, type, index, callback)
 };
 
 /**
- * Gets a document from Elasticsearch
+ * Gets several documents from Elasticsearch with one request.
+ * Resolves with the results in the order of the supplied
+ * documents, missing documents are not found.
  * Returns a promise or optionally calls callback (if provided)
  *
- * @param {string} id
+ * @param {Array<Object>} docs - ids and custom routings ({id, routing})
  * @param {string} type
  * @param {string} index
+ * @param {Object} [options]
+ * @param {Array<string>|boolean} [options.source] - returned source fields
  * @param {Function} [callback]
  * @throws {InvalidArgumentError}
- * @throws {DocumentNotFoundError}
  * @returns {Promise}
  */
 
-ElasticsearchProvider.prototype.getDoc = function(id, type, index, callback) {
+ElasticsearchProvider.prototype.getDocs = function(docs, type, index, options, callback) {
 
-  return Bluebird.resolve([id, type, index])
-    .spread((id, type, index) => {
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
 
-      if (!this.isValidId(id)) {
+  options = options || {};
+
+  return Bluebird.resolve([docs, type, index])
+    .spread((docs, type, index) => {
+
+      if (!_.isArray(docs) || !_.every(docs, (doc) => this.isValidId(doc.id))) {
         throw new errors.InvalidArgumentError('invalid-id');
       }
 
@@ -289,15 +936,23 @@ ElasticsearchProvider.prototype.getDoc = function(id, type, index, callback) {
         throw new errors.InvalidArgumentError('invalid-index-name');
       }
 
-      return this.client.get({index, type, id});
-    })
-    .catch((err) => {
+      if (!docs.length) {
+        return [];
+      }
 
-      if (err.status === 404) {
-        throw new errors.DocumentNotFoundError(err);
+      const body = {docs: docs.map((doc) => setRouting({_id: doc.id}, doc.routing))};
+      const params = {index, type, body};
+
+      if (options.source !== undefined) {
+        params._source = options.source;
       }
 
-      throw err;
+      // Missing indices do not contain any documents
+      return Bluebird.resolve(this.client.mget(params))
+        .then((res) => res.docs)
+        .catch((err) => err.status === 404, () => {
+          return docs.map((doc) => ({_id: doc.id, found: false}));
+        });
     })
     .nodeify(callback);
 };
@@ -309,12 +964,23 @@ ElasticsearchProvider.prototype.getDoc = function(id, type, index, callback) {
  * @param {string} id
  * @param {string} type
  * @param {string} index
+ * @param {Object} [options]
+ * @param {string} [options.routing] - custom routing of the document
  * @param {Function} [callback]
  * @throws {InvalidArgumentError}
  * @returns {Promise}
  */
 
-ElasticsearchProvider.prototype.docExists = function(id, type, index, callback) {
+ElasticsearchProvider.prototype.docExists = function(id, type, index, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
 
   return Bluebird.resolve([id, type, index])
     .spread((id, type, index) => {
@@ -331,7 +997,7 @@ ElasticsearchProvider.prototype.docExists = function(id, type, index, callback)
         throw new errors.InvalidArgumentError('invalid-index-name');
       }
 
-      return this.client.exists({index, type, id});
+      return this.client.exists(setRouting({index, type, id}, options.routing));
     })
     .nodeify(callback);
 };
@@ -354,6 +1020,61 @@ ElasticsearchProvider.prototype.search = function(query, callback) {
     .nodeify(callback);
 };
 
+/**
+ * Gets the next page of a scroll search
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {string} scrollId
+ * @param {string} keepAlive
+ * @param {Function} [callback]
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.scroll = function(scrollId, keepAlive, callback) {
+
+  return Bluebird.resolve([scrollId, keepAlive])
+    .spread((scrollId, keepAlive) => {
+      return this.client.scroll({scrollId, scroll: keepAlive});
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Clears the context of a scroll search
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {string} scrollId
+ * @param {Function} [callback]
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.clearScroll = function(scrollId, callback) {
+
+  return Bluebird.resolve(scrollId)
+    .then((scrollId) => {
+      return this.client.clearScroll({scrollId});
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Counts the documents in the Elasticsearch index matching a supplied query
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {Object} query
+ * @param {Function} [callback]
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.count = function(query, callback) {
+
+  return Bluebird.resolve(query)
+    .then((query) => {
+      return this.client.count(query);
+    })
+    .nodeify(callback);
+};
+
 /**
  * Ensures that an index with given name exists in Elasticsearch.
  * If the index does not exist, it will be created.
@@ -553,6 +1274,148 @@ ElasticsearchProvider.prototype.getIndexMapping = function(index, type, callback
     .nodeify(callback);
 };
 
+/**
+ * Adds fields to the mapping of an index and type.
+ * Existing fields cannot be changed.
+ *
+ * @param {string} index
+ * @param {string} type
+ * @param {Object} mapping
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @throws {IndexNotFoundError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.putMapping = function(index, type, mapping, callback) {
+
+  return Bluebird.resolve([index, type, mapping])
+    .spread((index, type, mapping) => {
+
+      if (!this.isValidIndex(index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      if (!this.isValidType(type)) {
+        throw new errors.InvalidArgumentError('invalid-type');
+      }
+
+      if (!this.isValidMapping(mapping)) {
+        throw new errors.InvalidArgumentError('invalid-mapping');
+      }
+
+      return this.client.indices.putMapping({index, type, body: mapping});
+    })
+    .catch((err) => {
+
+      if (err.status === 404) {
+        throw new errors.IndexNotFoundError(err);
+      }
+
+      throw err;
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Gets the names of the indices an alias points to.
+ * Resolves with an empty list if the alias does not exist.
+ *
+ * @param {string} alias
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.getAliasIndices = function(alias, callback) {
+
+  return Bluebird.resolve(alias)
+    .then((alias) => {
+
+      if (!this.isValidIndex(alias)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      return this.client.indices.getAlias({name: alias});
+    })
+    .then((res) => {
+      return _.keys(res);
+    })
+    .catch((err) => {
+
+      if (err.status === 404) {
+        return [];
+      }
+
+      throw err;
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Refreshes an index, so all writes become visible to searches
+ *
+ * @param {string} index
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @throws {IndexNotFoundError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.refresh = function(index, callback) {
+
+  return Bluebird.resolve(index)
+    .then((index) => {
+
+      if (!this.isValidIndex(index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      return this.client.indices.refresh({index});
+    })
+    .catch((err) => {
+
+      if (err.status === 404) {
+        throw new errors.IndexNotFoundError(err);
+      }
+
+      throw err;
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Performs several alias actions (add, remove, remove_index) atomically
+ *
+ * @param {Array<Object>} actions
+ * @param {Function} [callback]
+ * @throws {InvalidArgumentError}
+ * @throws {IndexOperationError}
+ * @returns {Promise}
+ */
+
+ElasticsearchProvider.prototype.updateAliases = function(actions, callback) {
+
+  return Bluebird.resolve(actions)
+    .then((actions) => {
+
+      if (!_.isArray(actions) || !actions.length) {
+        throw new errors.InvalidArgumentError('invalid-alias-actions');
+      }
+
+      return this.client.indices.updateAliases({body: {actions}});
+    })
+    .then((res) => {
+
+      if (res.acknowledged === false) {
+        throw new errors.IndexOperationError('aliases-not-acknowledged', res);
+      }
+
+      return res;
+    })
+    .nodeify(callback);
+};
+
 /**
  * Checks if an index exists.
  *
@@ -642,6 +1505,119 @@ ElasticsearchProvider.prototype.isValidId = (id) => {
   return _.isString(id);
 };
 
+/**
+ * Gets the refresh policy of a write, which
+ * falls back to the default refresh policy
+ *
+ * @param {boolean|string} [refresh]
+ * @returns {boolean|string}
+ */
+
+ElasticsearchProvider.prototype.getRefresh = function(refresh) {
+  return refresh === undefined || refresh === null ? this.refreshPolicy : refresh;
+};
+
+/**
+ * Checks if supplied refresh policy is valid
+ *
+ * @param {boolean|string} refresh
+ * @returns {boolean}
+ */
+
+ElasticsearchProvider.prototype.isValidRefresh = (refresh) => {
+  return _.isBoolean(refresh) || refresh === 'wait_for';
+};
+
+/**
+ * Sets the routing of request params or bulk action metadata
+ * (if a routing is supplied)
+ *
+ * @param {Object} params
+ * @param {string} [routing]
+ * @returns {Object}
+ */
+
+function setRouting(params, routing) {
+
+  if (routing !== undefined && routing !== null) {
+    params.routing = String(routing);
+  }
+
+  return params;
+}
+
+/**
+ * Sets the parent id of request params or bulk action metadata
+ * (if a parent is supplied), which is required to index children
+ *
+ * @param {Object} params
+ * @param {string} [parent]
+ * @returns {Object}
+ */
+
+function setParent(params, parent) {
+
+  if (parent !== undefined && parent !== null) {
+    params.parent = String(parent);
+  }
+
+  return params;
+}
+
+/**
+ * Gets the refresh policy of a bulk request, which is the strongest
+ * policy of its operations: true, then "wait_for", then false
+ *
+ * @param {Array<boolean|string>} policies
+ * @returns {boolean|string}
+ */
+
+function getBulkRefresh(policies) {
+
+  if (policies.indexOf(true) !== -1) {
+    return true;
+  }
+
+  return policies.indexOf('wait_for') !== -1 ? 'wait_for' : false;
+}
+
+/**
+ * Checks if a version conflict of a bulk operation means that the
+ * operation is obsolete: create operations of existing documents
+ * and externally versioned operations of newer documents
+ *
+ * @param {Object} meta
+ * @param {string} type
+ * @returns {boolean}
+ */
+
+function isConflictSkipped(meta, type) {
+  return type === 'create' || _.startsWith(meta.version_type, 'external');
+}
+
+/**
+ * Checks if the status of a failed bulk operation is retryable.
+ * Requests without status failed on connection level.
+ *
+ * @param {number} [status]
+ * @returns {boolean}
+ */
+
+function isRetryable(status) {
+  return !status || status === 429 || status === 503;
+}
+
+/**
+ * Gets the error message of a failed bulk item
+ *
+ * @param {Object} item
+ * @returns {string}
+ */
+
+function getItemErrorMessage(item) {
+  return _.isString(item.error) ? item.error : item.error.reason || item.error.type;
+}
+
 /**
  * Factory function that returns new ElasticsearchProvider
  *
@@ -17,11 +17,30 @@ errorCodes.set('invalid-settings', 'Invalid elasticsearch index settings');
 errorCodes.set('invalid-schema', 'Invalid mongoose schema');
 errorCodes.set('invalid-model', 'Invalid mongoose model');
 errorCodes.set('invalid-transform', 'Invalid transform function');
+errorCodes.set('invalid-filter', 'Invalid filter function');
+errorCodes.set('invalid-fields', 'Invalid list of included or excluded fields');
 errorCodes.set('invalid-bulk-timeout', 'Invalid bulk size');
 errorCodes.set('invalid-bulk-size', 'Invalid bulk timeout');
 errorCodes.set('invalid-bulk-buffer-size', 'Invalid bulk buffer size');
+errorCodes.set('invalid-bulk-retries', 'Invalid number of bulk retries');
+errorCodes.set('invalid-bulk-retry-delay', 'Invalid bulk retry delay');
+errorCodes.set('invalid-dead-letter', 'Invalid dead letter store');
 errorCodes.set('missing-document-model', 'No matching registered model found for document');
 errorCodes.set('invalid-search-body', 'Invalid search body');
+errorCodes.set('invalid-batch-size', 'Invalid batch size');
+errorCodes.set('invalid-concurrency', 'Invalid concurrency');
+errorCodes.set('invalid-checkpoint', 'Invalid checkpoint store');
+errorCodes.set('invalid-alias-actions', 'Invalid alias actions');
+errorCodes.set('invalid-populate', 'Invalid list of populated paths');
+errorCodes.set('invalid-depends-on', 'Invalid model dependency');
+errorCodes.set('invalid-outbox', 'Invalid outbox store');
+errorCodes.set('invalid-outbox-batch-size', 'Invalid outbox batch size');
+errorCodes.set('invalid-outbox-interval', 'Invalid outbox interval');
+errorCodes.set('invalid-outbox-lock-timeout', 'Invalid outbox lock timeout');
+errorCodes.set('invalid-version', 'Invalid version');
+errorCodes.set('invalid-refresh', 'Invalid refresh policy');
+errorCodes.set('invalid-routing', 'Invalid routing');
+errorCodes.set('invalid-join', 'Invalid join');
 
 const InvalidArgumentError = createError('InvalidArgumentError', null, function(code) {
   this.code = code;
@@ -0,0 +1,211 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Gets the included and excluded fields of a model.
+ * Fields are collected from the es_indexed option of
+ * the schema paths (including subdocument schemas) and
+ * from the include and exclude lists in options.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+
+function getFields(schema, options) {
+
+  const fields = {include: [], exclude: []};
+
+  collectSchemaFields(schema, '', fields);
+
+  if (options && options.include) {
+    fields.include = fields.include.concat(options.include);
+  }
+
+  if (options && options.exclude) {
+    fields.exclude = fields.exclude.concat(options.exclude);
+  }
+
+  return fields;
+}
+
+/**
+ * Collects the fields with es_indexed option of a schema
+ *
+ * @param {mongoose.Schema} schema
+ * @param {string} prefix
+ * @param {Object} fields
+ */
+
+function collectSchemaFields(schema, prefix, fields) {
+
+  schema.eachPath((pathName, schemaType) => {
+
+    const path = prefix + pathName;
+    const isIndexed = schemaType.options ? schemaType.options.es_indexed : undefined;
+
+    if (isIndexed === true) {
+      fields.include.push(path);
+    } else if (isIndexed === false) {
+      fields.exclude.push(path);
+    }
+
+    if (schemaType.schema) {
+      collectSchemaFields(schemaType.schema, path + '.', fields);
+    }
+  });
+}
+
+/**
+ * Checks if a list of field names is valid
+ *
+ * @param {Array<string>} fieldNames
+ * @returns {boolean}
+ */
+
+function isValidFieldList(fieldNames) {
+  return _.isArray(fieldNames) && _.every(fieldNames, _.isString);
+}
+
+/**
+ * Checks if any fields have been included or excluded
+ *
+ * @param {Object} fields
+ * @returns {boolean}
+ */
+
+function hasFields(fields) {
+  return !!(fields && (fields.include.length || fields.exclude.length));
+}
+
+/**
+ * Selects the fields of a document object. If fields are included,
+ * only those (and their parents) are kept. Excluded fields
+ * are always removed. Arrays are selected element-wise.
+ *
+ * @param {Object} obj
+ * @param {Object} fields
+ * @returns {Object}
+ */
+
+function selectDoc(obj, fields) {
+
+  if (!hasFields(fields)) {
+    return obj;
+  }
+
+  return selectValue(obj, fields, '', !fields.include.length);
+}
+
+function selectValue(value, fields, prefix, isIncluded) {
+
+  if (_.isArray(value)) {
+    return value.map((item) => selectValue(item, fields, prefix, isIncluded));
+  }
+
+  if (!_.isPlainObject(value)) {
+    return value;
+  }
+
+  const result = {};
+
+  _.forOwn(value, (child, key) => {
+
+    const path = prefix ? prefix + '.' + key : key;
+    const selection = selectPath(path, fields, isIncluded);
+
+    if (selection.isSelected) {
+      result[key] = selectValue(child, fields, path, selection.isIncluded);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Checks if a top level path of a document is selected
+ * the same way as selectDoc does for documents.
+ *
+ * @param {string} path
+ * @param {Object} fields
+ * @returns {boolean}
+ */
+
+function isSelectedPath(path, fields) {
+  return !hasFields(fields) || selectPath(path, fields, !fields.include.length).isSelected;
+}
+
+/**
+ * Selects the fields of mapping properties
+ * the same way as selectDoc does for documents.
+ *
+ * @param {Object} properties
+ * @param {Object} fields
+ * @returns {Object}
+ */
+
+function selectMapping(properties, fields) {
+
+  if (!hasFields(fields)) {
+    return properties;
+  }
+
+  return selectProperties(properties, fields, '', !fields.include.length);
+}
+
+function selectProperties(properties, fields, prefix, isIncluded) {
+
+  const result = {};
+
+  _.forOwn(properties, (property, key) => {
+
+    const path = prefix ? prefix + '.' + key : key;
+    const selection = selectPath(path, fields, isIncluded);
+
+    if (!selection.isSelected) {
+      return;
+    }
+
+    if (property.properties) {
+
+      result[key] = _.assign({}, property, {
+        properties: selectProperties(property.properties, fields, path, selection.isIncluded)
+      });
+
+    } else if (selection.isIncluded) {
+      result[key] = property;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Checks if a path is selected, either because it is
+ * included itself or because it is the parent of
+ * an included path. Excluded paths are never selected.
+ *
+ * @param {string} path
+ * @param {Object} fields
+ * @param {boolean} isParentIncluded
+ * @returns {Object}
+ */
+
+function selectPath(path, fields, isParentIncluded) {
+
+  if (_.includes(fields.exclude, path)) {
+    return {isSelected: false, isIncluded: false};
+  }
+
+  const isIncluded = isParentIncluded || _.includes(fields.include, path);
+  const isParent = _.some(fields.include, (field) => _.startsWith(field, path + '.'));
+
+  return {isSelected: isIncluded || isParent, isIncluded};
+}
+
+module.exports.getFields = getFields;
+module.exports.isValidFieldList = isValidFieldList;
+module.exports.selectDoc = selectDoc;
+module.exports.isSelectedPath = isSelectedPath;
+module.exports.selectMapping = selectMapping;
@@ -0,0 +1,360 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Elasticsearch mappings for mongoose schema types
+ *
+ */
+
+const typeMappings = {
+  String: {type: 'text', fields: {keyword: {type: 'keyword', ignore_above: 256}}},
+  Number: {type: 'double'},
+  Date: {type: 'date'},
+  Boolean: {type: 'boolean'},
+  ObjectId: {type: 'keyword'}
+};
+
+/**
+ * Generates the mapping properties for a mongoose schema.
+ * The root _id path is skipped, because it is stored
+ * as document id and removed from the document body.
+ *
+ * @param {mongoose.Schema} schema
+ * @returns {Object}
+ */
+
+function generate(schema) {
+
+  const properties = getProperties(schema);
+  delete properties._id;
+
+  return properties;
+}
+
+/**
+ * Gets the mapping properties for all paths of a schema.
+ * Nested paths (e.g. "address.city") are converted
+ * into object mappings.
+ *
+ * @param {mongoose.Schema} schema
+ * @returns {Object}
+ */
+
+function getProperties(schema) {
+
+  const properties = {};
+
+  schema.eachPath((pathName, schemaType) => {
+
+    const mapping = getPathMapping(schemaType);
+
+    if (!mapping) {
+      return;
+    }
+
+    const keys = pathName.split('.');
+    const key = keys.pop();
+    let parent = properties;
+
+    keys.forEach((key) => {
+
+      if (!parent[key]) {
+        parent[key] = {properties: {}};
+      }
+
+      parent = parent[key].properties;
+    });
+
+    parent[key] = mapping;
+  });
+
+  return properties;
+}
+
+/**
+ * Gets the mapping for a schema path, including
+ * overrides from the "es" option of the path.
+ *
+ * @param {mongoose.SchemaType} schemaType
+ * @returns {Object|null}
+ */
+
+function getPathMapping(schemaType) {
+
+  const mapping = getTypeMapping(schemaType);
+  const override = schemaType.options ? schemaType.options.es : null;
+
+  if (_.isPlainObject(override)) {
+    return mergeProperty(mapping, override);
+  }
+
+  return mapping;
+}
+
+/**
+ * Gets the mapping for a schema type. Subdocuments and
+ * document arrays are mapped as objects, arrays of
+ * primitives are mapped by their element type.
+ * Returns null for unsupported types (e.g. Mixed),
+ * which are left to dynamic mapping.
+ *
+ * @param {mongoose.SchemaType} schemaType
+ * @returns {Object|null}
+ */
+
+function getTypeMapping(schemaType) {
+
+  if (schemaType.schema) {
+    return {properties: getProperties(schemaType.schema)};
+  }
+
+  if (schemaType.instance === 'Array') {
+
+    const caster = schemaType.caster || schemaType.embeddedSchemaType;
+    return caster ? getTypeMapping(caster) : null;
+  }
+
+  const mapping = typeMappings[schemaType.instance];
+  return mapping ? _.cloneDeep(mapping) : null;
+}
+
+/**
+ * Merges mapping properties with overrides.
+ *
+ * @param {Object} properties
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+
+function merge(properties, overrides) {
+
+  const merged = _.clone(properties);
+
+  _.forOwn(overrides, (override, key) => {
+    merged[key] = mergeProperty(merged[key], override);
+  });
+
+  return merged;
+}
+
+/**
+ * Merges a single property mapping with an override.
+ * Object mappings are merged recursively, an override that
+ * declares its own type or properties replaces the mapping
+ * and any other override (e.g. an analyzer) is merged in.
+ *
+ * @param {Object|null} property
+ * @param {Object} override
+ * @returns {Object}
+ */
+
+function mergeProperty(property, override) {
+
+  if (!property) {
+    return override;
+  }
+
+  if (property.properties && override.properties) {
+
+    const merged = _.merge({}, _.omit(property, 'properties'), _.omit(override, 'properties'));
+    merged.properties = merge(property.properties, override.properties);
+    return merged;
+  }
+
+  if (override.type || override.properties) {
+    return override;
+  }
+
+  return _.merge({}, property, override);
+}
+
+/**
+ * Numeric and string types, which are compatible among each other
+ * (e.g. a generated double with a long that has been mapped dynamically)
+ *
+ */
+
+const typeFamilies = [
+  ['long', 'integer', 'short', 'byte', 'double', 'float', 'half_float', 'scaled_float'],
+  ['text', 'keyword']
+];
+
+/**
+ * Compares expected mapping properties with the properties
+ * of a live index. Fields that are only expected are added,
+ * fields that only exist in the index are removed. Fields with
+ * an incompatible type or different parameters are conflicts,
+ * as they cannot be changed in an existing index. Parameters are
+ * only compared if they are present on both sides, as indices
+ * leave out defaults (e.g. "doc_values"). Legacy string fields
+ * are compared as text or keyword (not_analyzed).
+ * Multi-fields are compared like object properties.
+ *
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {Object}
+ */
+
+function diff(expected, actual) {
+
+  const result = {added: [], removed: [], conflicts: []};
+
+  diffProperties(expected || {}, actual || {}, '', result);
+
+  return result;
+}
+
+function diffProperties(expected, actual, prefix, result) {
+
+  _.forOwn(expected, (property, key) => {
+
+    const path = prefix + key;
+
+    if (!actual[key]) {
+      result.added.push(path);
+    } else {
+      diffProperty(property, actual[key], path, result);
+    }
+  });
+
+  _.forOwn(actual, (property, key) => {
+
+    if (!expected[key]) {
+      result.removed.push(prefix + key);
+    }
+  });
+}
+
+function diffProperty(expected, actual, path, result) {
+
+  if (isConflict(expected, actual)) {
+    result.conflicts.push({path, expected, actual});
+    return;
+  }
+
+  if (expected.properties || actual.properties) {
+    diffProperties(expected.properties || {}, actual.properties || {}, path + '.', result);
+  }
+
+  if (expected.fields || actual.fields) {
+    diffProperties(expected.fields || {}, actual.fields || {}, path + '.', result);
+  }
+}
+
+/**
+ * Checks if an expected property mapping conflicts with the
+ * property mapping of a live index (see diff)
+ *
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {boolean}
+ */
+
+function isConflict(expected, actual) {
+
+  const normalized = normalizeProperty(expected);
+  const live = normalizeProperty(actual);
+
+  if (!isCompatibleType(normalized.type, live.type)) {
+    return true;
+  }
+
+  return _.some(_.omit(normalized, 'type', 'properties', 'fields'), (value, key) => {
+    return _.has(live, key) && !_.isEqual(value, live[key]);
+  });
+}
+
+/**
+ * Checks if two types are equal or of the same family
+ *
+ * @param {string} type
+ * @param {string} otherType
+ * @returns {boolean}
+ */
+
+function isCompatibleType(type, otherType) {
+
+  return type === otherType || typeFamilies.some((family) => {
+    return _.includes(family, type) && _.includes(family, otherType);
+  });
+}
+
+/**
+ * Normalizes a property mapping for comparison. Object mappings
+ * get an explicit type and legacy string fields are converted
+ * into text or keyword fields.
+ *
+ * @param {Object} property
+ * @returns {Object}
+ */
+
+function normalizeProperty(property) {
+
+  const normalized = _.assign({}, property, {type: property.type || 'object'});
+
+  if (normalized.type === 'string') {
+
+    normalized.type = normalized.index === 'not_analyzed' ? 'keyword' : 'text';
+
+    if (normalized.index === 'no') {
+      normalized.index = false;
+    } else {
+      delete normalized.index;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Gets the expected properties that are missing in a live index,
+ * which can be added to its mapping. Compatible fields that miss
+ * nested properties or multi-fields are restated with their live
+ * parameters. Conflicting fields are left out.
+ *
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {Object}
+ */
+
+function additions(expected, actual) {
+
+  const result = {};
+
+  _.forOwn(expected, (property, key) => {
+
+    const live = actual[key];
+
+    if (!live) {
+      result[key] = property;
+      return;
+    }
+
+    if (isConflict(property, live)) {
+      return;
+    }
+
+    const addition = {};
+
+    ['properties', 'fields'].forEach((subKey) => {
+
+      const subAdditions = property[subKey] ? additions(property[subKey], live[subKey] || {}) : {};
+
+      if (!_.isEmpty(subAdditions)) {
+        addition[subKey] = subAdditions;
+      }
+    });
+
+    if (!_.isEmpty(addition)) {
+      result[key] = _.assign(_.omit(live, 'properties', 'fields'), addition);
+    }
+  });
+
+  return result;
+}
+
+module.exports.generate = generate;
+module.exports.merge = merge;
+module.exports.diff = diff;
+module.exports.additions = additions;
@@ -0,0 +1,133 @@
+'use strict';
+
+const crypto = require('crypto');
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+
+/**
+ * Outbox store that keeps index and delete intents in a
+ * MongoDB collection until they have been delivered to
+ * Elasticsearch. Intents are claimed with a lock, which
+ * expires if a worker fails to acknowledge or release them.
+ *
+ * @param {mongoose.Connection} connection
+ * @param {string} [collectionName]
+ * @constructor
+ */
+
+function OutboxStore(connection, collectionName) {
+  this.collection = connection.collection(collectionName || 'mongoolastic_outbox');
+}
+
+/**
+ * Adds intents. If a session is supplied, the intents
+ * are written within its transaction (if any).
+ *
+ * @param {Array<Object>} entries
+ * @param {ClientSession} [session]
+ * @returns {Promise}
+ */
+
+OutboxStore.prototype.add = function(entries, session) {
+
+  const createdAt = new Date();
+  const intents = entries.map((entry) => {
+    return _.assign({createdAt, lockedUntil: createdAt, attempts: 0}, entry);
+  });
+
+  return Bluebird.resolve(this.collection.insertMany(intents, session ? {session} : {}));
+};
+
+/**
+ * Claims unlocked intents, oldest first, and locks them
+ * for the supplied time. Intents that are claimed by
+ * another worker at the same time are skipped.
+ *
+ * @param {number} limit
+ * @param {number} lockTimeout
+ * @returns {Promise}
+ */
+
+OutboxStore.prototype.claim = function(limit, lockTimeout) {
+
+  const now = new Date();
+  const claim = crypto.randomBytes(12).toString('hex');
+  const unlocked = {lockedUntil: {$lte: now}};
+
+  const find = this.collection.find(unlocked, {projection: {_id: 1}})
+    .sort({createdAt: 1})
+    .limit(limit);
+
+  return Bluebird.resolve(find.toArray())
+    .then((res) => {
+
+      if (!res.length) {
+        return [];
+      }
+
+      const conditions = _.assign({_id: {$in: _.pluck(res, '_id')}}, unlocked);
+      const update = {
+        $set: {claim, lockedUntil: new Date(now.getTime() + lockTimeout)},
+        $inc: {attempts: 1}
+      };
+
+      return Bluebird.resolve(this.collection.updateMany(conditions, update))
+        .then(() => this.collection.find({claim}).sort({createdAt: 1}).toArray());
+    });
+};
+
+/**
+ * Acknowledges delivered intents by removing them
+ *
+ * @param {Array} ids
+ * @returns {Promise}
+ */
+
+OutboxStore.prototype.ack = function(ids) {
+  return Bluebird.resolve(this.collection.deleteMany({_id: {$in: ids}}));
+};
+
+/**
+ * Releases intents that could not be delivered,
+ * so they can be claimed again after the supplied date
+ *
+ * @param {Array} ids
+ * @param {Date} retryAt
+ * @returns {Promise}
+ */
+
+OutboxStore.prototype.release = function(ids, retryAt) {
+
+  const update = {$set: {lockedUntil: retryAt, claim: null}};
+  return Bluebird.resolve(this.collection.updateMany({_id: {$in: ids}}, update));
+};
+
+/**
+ * Checks if supplied object is a valid outbox store
+ *
+ * @param {Object} store
+ * @returns {boolean}
+ */
+
+function isValidStore(store) {
+  return _.isObject(store) &&
+    _.isFunction(store.add) &&
+    _.isFunction(store.claim) &&
+    _.isFunction(store.ack) &&
+    _.isFunction(store.release);
+}
+
+/**
+ * Factory function that returns new OutboxStore
+ *
+ * @param {mongoose.Connection} connection
+ * @param {string} [collectionName]
+ * @returns {OutboxStore}
+ */
+
+function create(connection, collectionName) {
+  return new OutboxStore(connection, collectionName);
+}
+
+module.exports.create = create;
+module.exports.isValidStore = isValidStore;
@@ -1,11 +1,18 @@
 'use strict';
 
 const util = require('util');
+const crypto = require('crypto');
 const events = require('events');
 const _ = require('lodash');
 const Bluebird = require('bluebird');
 const mongoose = require('mongoose');
 const elasticsearch = require('./elasticsearch');
+const mappings = require('./mapping');
+const fields = require('./fields');
+const checkpoint = require('./checkpoint');
+const outbox = require('./outbox');
+const deadLetter = require('./dead-letter');
+const scrollIterator = require('./scroll');
 const errors = require('./errors');
 
 // Inherit from EventEmitter
@@ -14,78 +21,3488 @@ util.inherits(Mongoolastic, events.EventEmitter);
 /**
  * Elasticsearch plugin
  *
+ * Events:
+ * indexed / removed: a document has been written to or deleted from
+ * the index (bulk operations once the bulk request has completed)
+ * bulk-flushed: a bulk request has completed
+ * buffer-overflow: the bulk buffer is full, adding is retried
+ * error: an operation has failed permanently, e.g. indexing in a hook
+ * (only emitted if there are error listeners)
+ * progress: a batch of documents has been synced
+ *
+ * Document events carry the model name, document id, index,
+ * operation (index, create, update or delete) and the error.
+ *
+ * Outbox options:
+ * outbox: true to keep index and delete intents in a MongoDB
+ * collection of the default connection or a custom store with
+ * add, claim, ack and release functions. Hooks write intents before
+ * the document is written, a worker started by connect delivers them.
+ * outboxBatchSize: number of intents per delivery (default 100)
+ * outboxInterval: milliseconds between deliveries (default 1000)
+ * outboxLockTimeout: milliseconds until claimed intents that have
+ * not been acknowledged can be claimed again (default 60000)
+ *
+ * Dead letter options:
+ * deadLetter: true to keep permanently failed bulk operations in a
+ * MongoDB collection of the default connection or a custom store
+ * with add (and list and remove for replays) functions
+ *
+ * @param {Object} [options]
  * @constructor
  */
 
-function Mongoolastic() {
-  this.index = null;
-  this.settings = {};
-  this.registeredModels = new Map();
-  this.es = elasticsearch.create();
-}
+function Mongoolastic(options) {
+
+  if (options && !_.isPlainObject(options)) {
+    throw new errors.InvalidArgumentError('invalid-options');
+  }
+
+  if (options && options.outbox && options.outbox !== true &&
+    !outbox.isValidStore(options.outbox)) {
+    throw new errors.InvalidArgumentError('invalid-outbox');
+  }
+
+  if (options && options.outboxBatchSize && !_.isFinite(options.outboxBatchSize)) {
+    throw new errors.InvalidArgumentError('invalid-outbox-batch-size');
+  }
+
+  if (options && options.outboxInterval && !_.isFinite(options.outboxInterval)) {
+    throw new errors.InvalidArgumentError('invalid-outbox-interval');
+  }
+
+  if (options && options.outboxLockTimeout && !_.isFinite(options.outboxLockTimeout)) {
+    throw new errors.InvalidArgumentError('invalid-outbox-lock-timeout');
+  }
+
+  this.index = null;
+  this.settings = {};
+  this.registeredModels = new Map();
+  this.hookedSchemas = new Set();
+  this.wrappedModels = new WeakSet();
+  this.pendingOperations = new Set();
+  this.isClosed = false;
+  this.isWatching = false;
+  this.watchers = new Map();
+  this.outbox = null;
+  this.outboxTimer = null;
+  this.isOutboxRunning = false;
+  this.outboxBatchSize = options && options.outboxBatchSize ? options.outboxBatchSize : 100;
+  this.outboxInterval = options && options.outboxInterval ? options.outboxInterval : 1000;
+  this.outboxLockTimeout = options && options.outboxLockTimeout ?
+    options.outboxLockTimeout : 60000;
+
+  // The provider only accepts stores
+  if (options && options.deadLetter === true) {
+    options = _.assign({}, options, {deadLetter: deadLetter.create(mongoose.connection)});
+  }
+
+  this.es = elasticsearch.create(options);
+
+  if (options && options.outbox) {
+    this.outbox = options.outbox === true ? outbox.create(mongoose.connection) : options.outbox;
+  }
+
+  this.es.on('flushed', (res) => this.onBulkFlushed(res));
+  this.es.on('buffer-overflow', (res) => {
+    this.emit('buffer-overflow', _.assign(getActionEvent(res.action), {error: res.error}));
+  });
+  this.es.on('dead-letter-error', (res) => {
+    this.emitError(res.error, {operation: 'dead-letter', count: res.entries.length});
+  });
+
+  // Mongoose schema plugin bound to this instance,
+  // e.g. schema.plugin(mongoolastic.plugin, options)
+  this.plugin = (schema, options) => this.applyPlugin(schema, options);
+}
+
+Mongoolastic.prototype.InvalidArgumentError = errors.InvalidArgumentError;
+
+/**
+ * Emits the indexed and removed events for the written operations
+ * of a completed bulk request, error events for permanently failed
+ * operations and finally the bulk-flushed event. Skipped operations
+ * (e.g. due to a version conflict) do not emit events.
+ * Retried operations emit their events once they are done.
+ *
+ * @param {object} res
+ */
+
+Mongoolastic.prototype.onBulkFlushed = function(res) {
+
+  res.written.forEach((operation) => {
+    this.emitWritten(getActionEvent(operation.action));
+  });
+
+  res.failed.forEach((failure) => {
+    this.emitError(failure.error, getActionEvent(failure.operation.action));
+  });
+
+  this.emit('bulk-flushed', {
+    operation: 'bulk',
+    count: res.operations.length,
+    written: res.written.length,
+    skipped: res.skipped.length,
+    retried: res.retried.length,
+    failed: res.failed.length,
+    error: res.error
+  });
+};
+
+/**
+ * Emits the indexed or removed event for a written document
+ *
+ * @param {object} event
+ */
+
+Mongoolastic.prototype.emitWritten = function(event) {
+  this.emit(event.operation === 'delete' ? 'removed' : 'indexed', event);
+};
+
+/**
+ * Emits an error event for a failed operation. Error events are
+ * only emitted if there are error listeners, as emitting them
+ * without would throw (e.g. within callbacks of the client).
+ *
+ * @param {Error} error
+ * @param {object} event
+ */
+
+Mongoolastic.prototype.emitError = function(error, event) {
+
+  if (this.listenerCount('error')) {
+    this.emit('error', _.assign({}, event, {error}));
+  }
+};
+
+/**
+ * Emits the rejection of a promise (e.g. of an operation
+ * started by a hook, which can not return it) as error event.
+ * The operation is pending until the promise has settled.
+ *
+ * @param {Promise} promise
+ * @param {object} event
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.emitErrors = function(promise, event) {
+
+  const operation = promise
+    .catch((err) => {
+      this.emitError(err, event);
+    })
+    .finally(() => {
+      this.pendingOperations.delete(operation);
+    });
+
+  this.pendingOperations.add(operation);
+  return operation;
+};
+
+/**
+ * Waits for all pending hook operations and flushes the bulk
+ * buffer. Resolves once the buffer is empty and all bulk
+ * requests have completed, e.g. before the process exits.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.flush = function(callback) {
+
+  return Bluebird.all(Array.from(this.pendingOperations))
+    .then(() => this.es.flush())
+    .then(() => {
+
+      // Pending operations might have started new ones
+      if (this.pendingOperations.size) {
+        return this.flush();
+      }
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Closes the instance, e.g. in a SIGTERM handler.
+ * Hooks do nothing anymore, the outbox worker and watching
+ * changes are stopped, pending operations are flushed and
+ * finally the Elasticsearch client is closed.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.close = function(callback) {
+
+  this.isClosed = true;
+  this.stopOutbox();
+
+  return this.unwatch()
+    .then(() => this.flush())
+    .then(() => this.es.close())
+    .nodeify(callback);
+};
+
+/**
+ * Adds the operations of the dead letter store to the bulk buffer
+ * again and removes them from the store (see deadLetter option).
+ * Resolves with the number of replayed operations.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {number} [limit]
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.replayDeadLetters = function(limit, callback) {
+
+  // Check if limit is provided
+  // or if the limit argument is actually the callback
+  if (callback === undefined && _.isFunction(limit)) {
+    callback = limit;
+    limit = undefined;
+  }
+
+  return this.es.replayDeadLetters(limit).nodeify(callback);
+};
+
+/**
+ * Gets the event for a bulk action
+ *
+ * @param {object} action
+ * @returns {object}
+ */
+
+function getActionEvent(action) {
+
+  const operation = _.keys(action)[0];
+  const meta = action[operation];
+
+  return {model: meta._type, id: meta._id, index: meta._index, operation};
+}
+
+/**
+ * Connects to Elasticsearch, ensures the default index
+ * as well as the indices of all registered models
+ * and tests the connection with a ping.
+ *
+ * @param {string|array} hosts
+ * @param {string} index
+ * @param {object|function} [options]
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.connect = function(hosts, index, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  return Bluebird.resolve([hosts, index, options])
+    .spread((hosts, index, options) => {
+
+      // Index
+      if (!this.es.isValidIndex(index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      this.index = index;
+
+      // Options
+      if (options && !_.isPlainObject(options)) {
+        throw new errors.InvalidArgumentError('invalid-options');
+      }
+
+      // Settings
+      if (options && this.es.isValidSettings(options.settings)) {
+        this.settings = options.settings;
+      }
+
+      return this.es.connect(hosts);
+    })
+    .then(() => {
+      return this.getIndices();
+    })
+    .map((index) => {
+      return this.es.ensureIndex(index, this.getSettings(index), this.getMappings(index))
+        .then(() => this.updateMappings(index));
+    })
+    .tap(() => {
+
+      if (this.outbox) {
+        this.startOutbox();
+      }
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Registers a model to be connected to with an Elasticsearch index
+ * Returns promise or calls callback (if provided)
+ *
+ * @param {object} model
+ * @param {object} [options]
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.registerModel = function(model, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  return Bluebird.resolve(model)
+    .then((model) => this.addModel(model, options))
+    .nodeify(callback);
+};
+
+/**
+ * Validates the options and registers a model
+ * with its mapping and hooks synchronously
+ *
+ * @param {object} model
+ * @param {object} [options]
+ * @throws {InvalidArgumentError}
+ */
+
+Mongoolastic.prototype.addModel = function(model, options) {
+
+  // Validation
+  if (!(model.schema instanceof mongoose.Schema)) {
+    throw new errors.InvalidArgumentError('invalid-model');
+  }
+
+  // Mapping is generated from the schema, unless disabled,
+  // explicit mapping properties are merged on top
+  let mapping = null;
+  if (!options || options.generateMapping !== false) {
+    mapping = mappings.generate(model.schema);
+  }
+
+  if (options && options.mapping) {
+
+    if (this.es.isValidMapping(options.mapping)) {
+      mapping = mappings.merge(mapping || {}, options.mapping);
+    } else {
+      throw new errors.InvalidArgumentError('invalid-mapping');
+    }
+  }
+
+  // Included and excluded fields
+  if (options && options.include && !fields.isValidFieldList(options.include)) {
+    throw new errors.InvalidArgumentError('invalid-fields');
+  }
+
+  if (options && options.exclude && !fields.isValidFieldList(options.exclude)) {
+    throw new errors.InvalidArgumentError('invalid-fields');
+  }
+
+  const selectedFields = fields.getFields(model.schema, options);
+
+  if (mapping) {
+    mapping = fields.selectMapping(mapping, selectedFields);
+  }
+
+  // Index
+  let index = null;
+  if (options && options.index) {
+
+    if (this.es.isValidIndex(options.index)) {
+      index = options.index;
+    } else {
+      throw new errors.InvalidArgumentError('invalid-index-name');
+    }
+  }
+
+  // Settings
+  let settings = null;
+  if (options && options.settings) {
+
+    if (this.es.isValidSettings(options.settings)) {
+      settings = options.settings;
+    } else {
+      throw new errors.InvalidArgumentError('invalid-settings');
+    }
+  }
+
+  // Transform function
+  let transform = null;
+  if (options && options.transform) {
+
+    if (_.isFunction(options.transform)) {
+      transform = Bluebird.promisify(options.transform);
+    } else {
+      throw new errors.InvalidArgumentError('invalid-transform');
+    }
+  }
+
+  // Filter function
+  let filter = null;
+  if (options && options.filter) {
+
+    if (_.isFunction(options.filter)) {
+      filter = options.filter;
+    } else {
+      throw new errors.InvalidArgumentError('invalid-filter');
+    }
+  }
+
+  // Partial updates
+  const partialUpdate = !!(options && options.partialUpdate);
+
+  // Refresh policy, falls back to the refresh option of the instance
+  if (options && !_.isUndefined(options.refresh) && !this.es.isValidRefresh(options.refresh)) {
+    throw new errors.InvalidArgumentError('invalid-refresh');
+  }
+
+  // External version, e.g. "updatedAt" or a function that
+  // returns the version of a document. Versions have to increase
+  // with every change, otherwise changes are not indexed.
+  let version = null;
+  if (options && options.version) {
+
+    if (_.isString(options.version) || _.isFunction(options.version)) {
+      version = options.version;
+    } else {
+      throw new errors.InvalidArgumentError('invalid-version');
+    }
+
+    // The version key ("__v") only increases with every
+    // save if the schema has the optimisticConcurrency option
+    const schemaOptions = model.schema.options;
+    if (version === schemaOptions.versionKey && !schemaOptions.optimisticConcurrency) {
+      throw new errors.InvalidArgumentError('invalid-version');
+    }
+  }
+
+  // Custom routing, e.g. "tenant" or a function that returns the
+  // routing of a document. The routing of a document must not change,
+  // otherwise its indexed document is not replaced.
+  let routing = null;
+  if (options && options.routing) {
+
+    if (_.isString(options.routing) || _.isFunction(options.routing)) {
+      routing = options.routing;
+    } else {
+      throw new errors.InvalidArgumentError('invalid-routing');
+    }
+  }
+
+  // Parent model, e.g. {parent: 'Post', path: 'post'}, which maps the
+  // model as child type with a _parent field. The parent model has to
+  // be registered before with the same index. Children are routed by
+  // the id of their parent (unless they have a custom routing),
+  // as they have to be on the same shard.
+  let join = null;
+  if (options && options.join) {
+
+    const isValid = _.isPlainObject(options.join) &&
+      _.isString(options.join.parent) &&
+      _.isString(options.join.path) &&
+      options.join.parent !== model.modelName &&
+      this.registeredModels.has(options.join.parent) &&
+      (this.registeredModels.get(options.join.parent).index || null) === (index || null);
+
+    if (!isValid) {
+      throw new errors.InvalidArgumentError('invalid-join');
+    }
+
+    join = {parent: options.join.parent, path: options.join.path};
+    routing = routing || join.path;
+  }
+
+  // Populated paths
+  let populate = null;
+  if (options && options.populate) {
+
+    if (fields.isValidFieldList(options.populate)) {
+      populate = options.populate;
+    } else {
+      throw new errors.InvalidArgumentError('invalid-populate');
+    }
+  }
+
+  // Dependencies on other models, e.g. {model: 'Author', path: 'author'}.
+  // Hooks are registered on the schemas of the referenced models,
+  // thus those have to be compiled already.
+  let dependsOn = null;
+  if (options && options.dependsOn) {
+
+    dependsOn = _.flatten([options.dependsOn]).map((dependency) => {
+
+      const isValid = _.isPlainObject(dependency) &&
+        _.isString(dependency.path) &&
+        _.isString(dependency.model) &&
+        !!model.db.models[dependency.model];
+
+      if (!isValid) {
+        throw new errors.InvalidArgumentError('invalid-depends-on');
+      }
+
+      return {model: dependency.model, path: dependency.path};
+    });
+  }
+
+  // Register model, mapping and hooks
+  this.registeredModels.set(model.modelName, {
+    model,
+    mapping,
+    transform,
+    index,
+    settings,
+    filter,
+    partialUpdate,
+    version,
+    refresh: options ? options.refresh : undefined,
+    routing,
+    join,
+    populate,
+    dependsOn,
+    fields: selectedFields
+  });
+  this.registerHooks(model.schema);
+  this.wrapBulkWrite(model);
+
+  if (dependsOn) {
+    dependsOn.forEach((dependency) => {
+
+      const dependencyModel = model.db.models[dependency.model];
+
+      this.registerHooks(dependencyModel.schema);
+      this.wrapBulkWrite(dependencyModel);
+    });
+  }
+};
+
+/**
+ * Registers the document, query and model hooks on a schema.
+ * Hooks are only registered once per schema.
+ *
+ * Query based updates and deletes (e.g. updateMany) capture the
+ * ids of the affected documents before the query is executed.
+ * Afterwards, updated documents are re-read from MongoDB and
+ * indexed, deleted documents are removed via the bulk buffer.
+ * Documents of insertMany are handled the same way, bulkWrite
+ * is handled by wrapping the model (see wrapBulkWrite).
+ * For models that other models depend on, the dependent documents
+ * of updated and deleted documents are re-indexed as well.
+ *
+ * In outbox mode, pre hooks add intents to the outbox instead, with
+ * the session of the document or query (if any), locked for the lock
+ * timeout. The write fails if the intents can not be added. Post hooks
+ * release the intents for delivery, intents of failed writes are
+ * delivered once the lock has expired. Dependent documents (see
+ * dependsOn) are still indexed via the bulk buffer.
+ *
+ * @param {mongoose.Schema} schema
+ */
+
+Mongoolastic.prototype.registerHooks = function(schema) {
+
+  const self = this;
+  const modifiedPaths = new WeakMap();
+  const affectedIds = new WeakMap();
+  const removedIds = new WeakMap();
+  const pendingIntents = new WeakMap();
+  const insertedIntents = new Map();
+  const queryOptions = {query: true, document: false};
+
+  if (this.hookedSchemas.has(schema)) {
+    return;
+  }
+
+  this.hookedSchemas.add(schema);
+
+  // Mongoose does not support removing hooks, thus hooks do nothing
+  // once the instance is closed or while watching changes of the model
+  // (hooks are called with documents, queries or models)
+  function whenActive(fn) {
+
+    return function hook() {
+
+      let model = this;
+
+      if (this instanceof mongoose.Query) {
+        model = this.model;
+      } else if (this instanceof mongoose.Document) {
+        model = this.constructor;
+      }
+
+      if (!self.isClosed && !self.isWatchingModel(model.modelName)) {
+        return fn.apply(this, arguments);
+      }
+    };
+  }
+
+  // In outbox mode, intents are added before the write, thus they are
+  // not lost if the process stops after the write. They are locked
+  // until the write has been executed, or until the lock has expired
+  // if it failed, which is safe, as delivering an intent indexes or
+  // removes a document according to its current state.
+  function getLockDate() {
+    return new Date(Date.now() + self.outboxLockTimeout);
+  }
+
+  function addPendingIntents(key, model, ids, operation, session, routings) {
+
+    return self.addIntents(model, ids, operation, {session, routings, lockedUntil: getLockDate()})
+      .then((intentIds) => pendingIntents.set(key, intentIds));
+  }
+
+  // Releasing intents is not part of the write,
+  // thus the write resolves even if it fails
+  function releaseIntents(model, intentIds) {
+
+    if (intentIds && intentIds.length) {
+
+      const event = {model: model.modelName, operation: 'outbox'};
+      self.emitErrors(Bluebird.resolve(self.outbox.release(intentIds, new Date())), event);
+    }
+  }
+
+  function releasePendingIntents(key, model) {
+
+    const intentIds = pendingIntents.get(key);
+
+    pendingIntents.delete(key);
+    releaseIntents(model, intentIds);
+  }
+
+  // Ids of upserted documents are only known after the write,
+  // thus their intents can only be added afterwards
+  function addUpsertIntents(model, ids, session) {
+
+    if (ids.length) {
+
+      const event = {model: model.modelName, id: ids, operation: 'index'};
+      self.emitErrors(self.addIntents(model, ids, 'index', {session}), event);
+    }
+  }
+
+  schema.pre('remove', whenActive(function onBeforeRemove() {
+
+    if (self.outbox) {
+
+      const routings = getRoutings([this], self.registeredModels.get(this.constructor.modelName));
+      return addPendingIntents(this, this.constructor, [this._id], 'delete', this.$session(),
+        routings);
+    }
+  }));
+
+  schema.post('remove', whenActive(function onRemove(doc) {
+
+    const event = {model: doc.constructor.modelName, id: doc.id};
+
+    self.emitErrors(self.indexDependents(doc), _.assign({operation: 'index'}, event));
+
+    if (self.outbox) {
+      return releasePendingIntents(doc, doc.constructor);
+    }
+
+    self.emitErrors(self.removeDoc(doc), _.assign({operation: 'delete'}, event));
+  }));
+
+  // Modified paths are reset after saving,
+  // thus they need to be captured before
+  schema.pre('save', whenActive(function onBeforeSave() {
+
+    modifiedPaths.set(this, this.isNew ? null : this.modifiedPaths());
+
+    if (self.outbox) {
+      return addPendingIntents(this, this.constructor, [this._id], 'index', this.$session());
+    }
+  }));
+
+  schema.post('save', whenActive(function onSave(doc) {
+
+    const paths = modifiedPaths.get(doc);
+
+    const event = {model: doc.constructor.modelName, id: doc.id, operation: 'index'};
+
+    modifiedPaths.delete(doc);
+
+    if (!paths || paths.length) {
+      self.emitErrors(self.indexDependents(doc), event);
+    }
+
+    if (self.outbox) {
+      return releasePendingIntents(doc, doc.constructor);
+    }
+
+    self.emitErrors(self.updateDoc(doc, paths), event);
+  }));
+
+  // Query and insertMany hooks affect
+  // several documents, thus their events carry a list of ids
+  function indexDocsById(model, ids) {
+
+    const event = {model: model.modelName, id: ids, operation: 'index'};
+    self.emitErrors(self.indexDocsById(model, ids), event);
+  }
+
+  function indexDependentsById(model, ids) {
+
+    const event = {model: model.modelName, id: ids, operation: 'index'};
+    self.emitErrors(self.indexDependentsById(model, ids), event);
+  }
+
+  // Hooks of models that are only registered as
+  // dependencies of other models only index dependents
+  function isHooked(modelName) {
+    return self.registeredModels.has(modelName) || self.hasDependents(modelName);
+  }
+
+  function removeDocsById(model, ids, routings) {
+
+    const event = {model: model.modelName, id: ids, operation: 'delete'};
+    self.emitErrors(self.removeDocsById(model, ids, routings), event);
+  }
+
+  function captureIds(findOne) {
+
+    return function onBeforeQuery() {
+
+      const session = this.getOptions().session;
+
+      if (!isHooked(this.model.modelName)) {
+        return;
+      }
+
+      return findIds(this.model, this.getQuery(), findOne, this.getOptions().sort)
+        .then((ids) => {
+
+          affectedIds.set(this, ids);
+
+          if (self.outbox) {
+            return addPendingIntents(this, this.model, ids, 'index', session);
+          }
+        });
+    };
+  }
+
+  // Removed documents can not be read afterwards,
+  // thus their routing is captured with their ids
+  function captureRemovedIds(findOne) {
+
+    return function onBeforeDelete() {
+
+      const registeredModel = self.registeredModels.get(this.model.modelName) || {};
+      const session = this.getOptions().session;
+
+      if (!isHooked(this.model.modelName)) {
+        return;
+      }
+
+      return findRemovedIds(this.model, registeredModel, this.getQuery(), findOne,
+        this.getOptions().sort)
+        .then((res) => {
+
+          removedIds.set(this, res);
+
+          if (self.outbox) {
+            return addPendingIntents(this, this.model, res.ids, 'delete', session, res.routings);
+          }
+        });
+    };
+  }
+
+  // The findOneAnd* hooks take the document from the result,
+  // thus its id only needs to be captured before in outbox mode
+  function whenOutbox(fn) {
+
+    return function hook() {
+
+      if (self.outbox) {
+        return fn.apply(this, arguments);
+      }
+    };
+  }
+
+  schema.pre('updateOne', queryOptions, whenActive(captureIds(true)));
+  schema.pre('updateMany', queryOptions, whenActive(captureIds(false)));
+  schema.pre('deleteOne', queryOptions, whenActive(captureRemovedIds(true)));
+  schema.pre('deleteMany', queryOptions, whenActive(captureRemovedIds(false)));
+  schema.pre('findOneAndUpdate', whenActive(whenOutbox(captureIds(true))));
+  schema.pre('findOneAndDelete', whenActive(whenOutbox(captureRemovedIds(true))));
+
+  ['updateOne', 'updateMany'].forEach((hook) => {
+
+    schema.post(hook, queryOptions, whenActive(function onUpdate(res) {
+
+      const ids = affectedIds.get(this) || [];
+      const upsertedIds = res && res.upsertedId ? [res.upsertedId] : [];
+
+      affectedIds.delete(this);
+      indexDependentsById(this.model, ids.concat(upsertedIds));
+
+      if (self.outbox) {
+        releasePendingIntents(this, this.model);
+        return addUpsertIntents(this.model, upsertedIds, this.getOptions().session);
+      }
+
+      indexDocsById(this.model, ids.concat(upsertedIds));
+    }));
+  });
+
+  ['deleteOne', 'deleteMany'].forEach((hook) => {
+
+    schema.post(hook, queryOptions, whenActive(function onDelete() {
+
+      const removed = removedIds.get(this) || {ids: [], routings: null};
+
+      removedIds.delete(this);
+      indexDependentsById(this.model, removed.ids);
+
+      if (self.outbox) {
+        return releasePendingIntents(this, this.model);
+      }
+
+      removeDocsById(this.model, removed.ids, removed.routings);
+    }));
+  });
+
+  // The result of findOneAndUpdate might be the document
+  // before the update, thus it is re-read by id
+  function onUpdated(query, ids, doc) {
+
+    if (self.outbox) {
+
+      releasePendingIntents(query, query.model);
+
+      if (doc && !_.some(ids, (id) => String(id) === String(doc._id))) {
+        addUpsertIntents(query.model, [doc._id], query.getOptions().session);
+      }
+    }
+
+    if (doc) {
+
+      indexDependentsById(query.model, [doc._id]);
+
+      if (!self.outbox) {
+        indexDocsById(query.model, [doc._id]);
+      }
+    }
+  }
+
+  schema.post('findOneAndUpdate', whenActive(function onFindOneAndUpdate(res) {
+
+    const ids = affectedIds.get(this) || [];
+    const options = this.getOptions();
+    const doc = getResultDoc(res);
+
+    affectedIds.delete(this);
+
+    if (doc || !options.upsert) {
+      return onUpdated(this, ids, doc);
+    }
+
+    // Upserts that resolve with the document before the update resolve
+    // without document, thus the upserted id is taken from the result
+    // metadata (if included) or the upserted document is read by query
+    const upserted = res && res.lastErrorObject ? res.lastErrorObject.upserted : null;
+    const lookup = upserted ? Bluebird.resolve([upserted]) :
+      findIds(this.model, this.getQuery(), true, options.sort);
+
+    const event = {model: this.model.modelName, operation: 'index'};
+    self.emitErrors(lookup.then((upsertedIds) => {
+      onUpdated(this, ids, upsertedIds.length ? {_id: upsertedIds[0]} : null);
+    }), event);
+  }));
+
+  schema.post('findOneAndDelete', whenActive(function onFindOneAndDelete(res) {
+
+    const doc = getResultDoc(res);
+
+    removedIds.delete(this);
+
+    if (self.outbox) {
+      releasePendingIntents(this, this.model);
+    }
+
+    if (doc) {
+
+      indexDependentsById(this.model, [doc._id]);
+
+      if (!self.outbox) {
+        removeDocsById(this.model, [doc._id],
+          getRoutings([doc], self.registeredModels.get(this.model.modelName)));
+      }
+    }
+  }));
+
+  // Ids are assigned to inserted documents before the write,
+  // thus their intents can be added before as well. The pre and
+  // post hooks of insertMany do not share an object per call,
+  // thus the intents are kept by document id.
+  schema.pre('insertMany', whenActive(function onBeforeInsertMany(docs) {
+
+    const list = _.isArray(docs) ? docs : [docs];
+
+    if (!self.outbox || !self.registeredModels.has(this.modelName)) {
+      return;
+    }
+
+    const ids = _.compact(list.map((doc) => assignId(this, doc)));
+
+    return self.addIntents(this, ids, 'index', {lockedUntil: getLockDate()})
+      .then((intentIds) => {
+        ids.forEach((id, i) => insertedIntents.set(String(id), intentIds[i]));
+      });
+  }));
+
+  schema.post('insertMany', whenActive(function onInsertMany(docs) {
+
+    if (!_.isArray(docs)) {
+      return;
+    }
+
+    if (self.outbox) {
+      return releaseIntents(this, takeInsertedIntents(docs));
+    }
+
+    indexDocsById(this, docs.map((doc) => doc._id));
+  }));
+
+  // Intents of documents that failed to insert
+  // are delivered once their lock has expired
+  schema.post('insertMany', function onInsertManyError(err, docs, next) {
+
+    takeInsertedIntents(_.isArray(docs) ? docs : [docs]);
+    next(err);
+  });
+
+  function takeInsertedIntents(docs) {
+
+    return _.compact(docs.map((doc) => {
+
+      const key = doc && doc._id ? String(doc._id) : null;
+      const intentId = key ? insertedIntents.get(key) : null;
+
+      insertedIntents.delete(key);
+      return intentId;
+    }));
+  }
+};
+
+/**
+ * Wraps the bulkWrite function of a model, which captures the ids of
+ * the affected documents before the write and indexes or removes them
+ * once it has been executed (like the query hooks, see registerHooks).
+ * The pre and post hooks of bulkWrite do not share an object per call,
+ * thus they can not attribute the results of concurrent calls.
+ * Models are only wrapped once.
+ *
+ * @param {mongoose.Model} model
+ */
+
+Mongoolastic.prototype.wrapBulkWrite = function(model) {
+
+  const self = this;
+  const bulkWrite = model.bulkWrite;
+
+  if (this.wrappedModels.has(model)) {
+    return;
+  }
+
+  this.wrappedModels.add(model);
+
+  model.bulkWrite = function wrappedBulkWrite(ops) {
+
+    const args = arguments;
+    const isActive = !self.isClosed && !self.isWatchingModel(this.modelName);
+    const isHooked = self.registeredModels.has(this.modelName) ||
+      self.hasDependents(this.modelName);
+
+    if (!isActive || !isHooked || !_.isArray(ops) || !ops.length) {
+      return bulkWrite.apply(this, args);
+    }
+
+    return self.captureBulkWrite(this, ops)
+      .then((captured) => {
+
+        return Bluebird.resolve(bulkWrite.apply(this, args))
+          .tap((res) => self.handleBulkWrite(this, captured, res));
+      });
+  };
+};
+
+/**
+ * Captures the ids of the documents that a bulkWrite is about to
+ * change, and their routing if they are deleted. In outbox mode,
+ * intents are added for them (locked until the write has been
+ * executed) and inserted documents get their ids assigned before.
+ * Resolves with {inserted, updated, deleted, routings, intentIds}.
+ *
+ * @param {mongoose.Model} model
+ * @param {Array<object>} ops
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.captureBulkWrite = function(model, ops) {
+
+  const registeredModel = this.registeredModels.get(model.modelName) || {};
+  const captured = {inserted: [], updated: [], deleted: [], routings: new Map(), intentIds: []};
+
+  return Bluebird.resolve(ops)
+    .map((op) => {
+
+      const operation = _.keys(op)[0];
+      const filter = op[operation].filter;
+
+      // Inserted documents are taken from the result,
+      // in outbox mode, their ids are assigned before
+      if (!filter) {
+
+        if (this.outbox && op.insertOne) {
+          captured.inserted.push(assignId(model, op.insertOne.document));
+        }
+
+        return;
+      }
+
+      const findOne = !_.endsWith(operation, 'Many');
+
+      if (_.startsWith(operation, 'delete')) {
+
+        return findRemovedIds(model, registeredModel, filter, findOne)
+          .then((res) => {
+
+            captured.deleted.push.apply(captured.deleted, res.ids);
+
+            if (res.routings) {
+              res.routings.forEach((routing, id) => captured.routings.set(id, routing));
+            }
+          });
+      }
+
+      return findIds(model, filter, findOne)
+        .then((res) => captured.updated.push.apply(captured.updated, res));
+    })
+    .then(() => {
+
+      if (!this.outbox) {
+        return;
+      }
+
+      const lockedUntil = new Date(Date.now() + this.outboxLockTimeout);
+      const indexed = _.compact(captured.inserted).concat(captured.updated);
+      const routings = captured.routings;
+
+      return Bluebird.all([
+        this.addIntents(model, indexed, 'index', {lockedUntil}),
+        this.addIntents(model, captured.deleted, 'delete', {routings, lockedUntil})
+      ])
+        .then((res) => {
+          captured.intentIds = _.flatten(res);
+        });
+    })
+    .then(() => captured);
+};
+
+/**
+ * Indexes and removes the documents of an executed bulkWrite
+ * (see captureBulkWrite) or, in outbox mode, releases their
+ * intents. Errors are emitted, thus the write resolves anyway.
+ *
+ * @param {mongoose.Model} model
+ * @param {object} captured
+ * @param {object} res - result of the bulkWrite
+ */
+
+Mongoolastic.prototype.handleBulkWrite = function(model, captured, res) {
+
+  const event = {model: model.modelName};
+  const insertedIds = _.values(res.insertedIds);
+  const upsertedIds = _.values(res.upsertedIds);
+  const changedIds = captured.updated.concat(captured.deleted);
+
+  this.emitErrors(this.indexDependentsById(model, changedIds),
+    _.assign({id: changedIds, operation: 'index'}, event));
+
+  if (this.outbox) {
+
+    if (captured.intentIds.length) {
+      this.emitErrors(Bluebird.resolve(this.outbox.release(captured.intentIds, new Date())),
+        _.assign({operation: 'outbox'}, event));
+    }
+
+    // Ids of upserted documents are only known after the write
+    if (upsertedIds.length) {
+      this.emitErrors(this.addIntents(model, upsertedIds, 'index'),
+        _.assign({id: upsertedIds, operation: 'index'}, event));
+    }
+
+    return;
+  }
+
+  const indexedIds = captured.updated.concat(insertedIds, upsertedIds);
+
+  this.emitErrors(this.indexDocsById(model, indexedIds),
+    _.assign({id: indexedIds, operation: 'index'}, event));
+
+  this.emitErrors(this.removeDocsById(model, captured.deleted, captured.routings),
+    _.assign({id: captured.deleted, operation: 'delete'}, event));
+};
+
+/**
+ * Gets the document of the result of a findOneAnd* query, which
+ * is the value of the raw result with includeResultMetadata
+ *
+ * @param {object|null} res
+ * @returns {object|null}
+ */
+
+function getResultDoc(res) {
+
+  if (res && res.lastErrorObject) {
+    return res.value || null;
+  }
+
+  return res || null;
+}
+
+/**
+ * Finds the ids of the documents matching the supplied conditions
+ *
+ * @param {mongoose.Model} model
+ * @param {object} conditions
+ * @param {boolean} findOne
+ * @param {object} [sort] - sort of the query, which selects the document of findOne
+ * @returns {Promise}
+ */
+
+function findIds(model, conditions, findOne, sort) {
+
+  const find = findOne ? model.findOne(conditions) : model.find(conditions);
+
+  if (sort) {
+    find.sort(sort);
+  }
+
+  find.select('_id').lean();
+
+  if (findOne) {
+    return Bluebird.resolve(find.exec()).then((doc) => doc ? [doc._id] : []);
+  }
+
+  // Only the ids are kept, not the documents of the whole result
+  const ids = [];
+
+  return Bluebird.resolve(find.cursor({batchSize: 1000}).eachAsync((doc) => {
+    ids.push(doc._id);
+  }))
+    .return(ids);
+}
+
+/**
+ * Finds the ids of the documents matching the supplied conditions,
+ * which are about to be removed, and their routing if the registered
+ * model has custom routing. Resolves with {ids, routings}.
+ *
+ * @param {mongoose.Model} model
+ * @param {object} registeredModel
+ * @param {object} conditions
+ * @param {boolean} findOne
+ * @param {object} [sort]
+ * @returns {Promise}
+ */
+
+function findRemovedIds(model, registeredModel, conditions, findOne, sort) {
+
+  if (!registeredModel.routing) {
+    return findIds(model, conditions, findOne, sort).then((ids) => ({ids, routings: null}));
+  }
+
+  const find = findOne ? model.findOne(conditions) : model.find(conditions);
+  const path = getRoutingPath(registeredModel);
+
+  if (sort) {
+    find.sort(sort);
+  }
+
+  // Routing functions require the full documents
+  if (path) {
+    find.select('_id ' + path);
+  }
+
+  return Bluebird.resolve(find.exec())
+    .then((res) => {
+
+      const docs = findOne ? _.compact([res]) : res;
+      return {ids: _.pluck(docs, '_id'), routings: getRoutings(docs, registeredModel)};
+    });
+}
+
+/**
+ * Assigns an ObjectId to a document that is about to be inserted, if
+ * it has no id and the model generates ObjectIds. Returns the id.
+ *
+ * @param {mongoose.Model} model
+ * @param {object} doc
+ * @returns {*}
+ */
+
+function assignId(model, doc) {
+
+  const path = model.schema.path('_id');
+
+  if (!_.isObject(doc)) {
+    return null;
+  }
+
+  if (doc._id === undefined && path && path.instance === 'ObjectId') {
+    doc._id = new mongoose.Types.ObjectId();
+  }
+
+  return doc._id;
+}
+
+/**
+ * Gets the routing of documents by id, if their registered
+ * model has custom routing (see getDocRouting)
+ *
+ * @param {Array<object>} docs
+ * @param {object} [registeredModel]
+ * @returns {Map|null}
+ */
+
+function getRoutings(docs, registeredModel) {
+
+  if (!registeredModel || !registeredModel.routing) {
+    return null;
+  }
+
+  return new Map(docs.map((doc) => [String(doc._id), getDocRouting(doc, registeredModel)]));
+}
+
+/**
+ * Counts the documents of a model matching the supplied conditions
+ *
+ * @param {mongoose.Model} model
+ * @param {object} conditions
+ * @returns {Promise}
+ */
+
+function countDocs(model, conditions) {
+
+  const count = _.isFunction(model.countDocuments) ?
+    model.countDocuments(conditions) : model.count(conditions);
+
+  return Bluebird.resolve(count.exec());
+}
+
+/**
+ * Mongoose schema plugin. Registers the hooks, adds
+ * the Elasticsearch statics and methods to the schema and
+ * registers every model that is compiled from the schema
+ * with the supplied options (see registerModel). Invalid
+ * options are thrown when the model is compiled.
+ *
+ * Statics: search, esSync, esCount
+ * Methods: esIndex, esRemove, esGet
+ *
+ * @param {mongoose.Schema} schema
+ * @param {object} [options]
+ * @throws {InvalidArgumentError}
+ */
+
+Mongoolastic.prototype.applyPlugin = function(schema, options) {
+
+  const self = this;
+
+  // Validation
+  if (!(schema instanceof mongoose.Schema)) {
+    throw new errors.InvalidArgumentError('invalid-schema');
+  }
+
+  if (options && !_.isPlainObject(options)) {
+    throw new errors.InvalidArgumentError('invalid-options');
+  }
+
+  this.registerHooks(schema);
+
+  schema.static('search', function search(body, options, callback) {
+    return self.search(this, body, options, callback);
+  });
+
+  schema.static('esSync', function esSync(callback) {
+    return self.sync(this, callback);
+  });
+
+  schema.static('esCount', function esCount(body, callback) {
+    return self.count(this, body, callback);
+  });
+
+  schema.method('esIndex', function esIndex(callback) {
+    return self.indexDoc(this, false, callback);
+  });
+
+  schema.method('esRemove', function esRemove(callback) {
+    return self.removeDoc(this, callback);
+  });
+
+  schema.method('esGet', function esGet(callback) {
+    return self.getDoc(this, callback);
+  });
+
+  // Mongoose emits init on the schema whenever a model is compiled
+  // from it. Listeners are called synchronously, thus invalid options
+  // are thrown by mongoose.model() and the model is not compiled.
+  schema.on('init', (model) => this.addModel(model, options));
+};
+
+/**
+ * Indexes a mongoose document in Elasticsearch
+ * Returns a promise or calls callback (if provided)
+ *
+ * Options:
+ * index: index to write to instead of the index of the model
+ * opType: "create" to not overwrite existing documents
+ * refresh: true, false or "wait_for" (default: refresh option
+ * of the model, otherwise of the instance)
+ *
+ * @param {object} doc
+ * @param {boolean} useBulk
+ * @param {object|function} [options]
+ * @param {function} [callback]
+ * @throws {ModelNotFoundError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.indexDoc = function(doc, useBulk, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  options = options || {};
+
+  return Bluebird.resolve(doc)
+    .then((doc) => {
+
+      // This method is called for ALL documents that share the
+      // model's SCHEMA. Thus, we need to check first and filter out
+      // all documents that share the same schema, but belong to
+      // other, non registered models.
+      const id = doc.id;
+      const modelName = doc.constructor.modelName;
+      const registeredModel = this.registeredModels.get(modelName);
+
+      if (!registeredModel) {
+        return;
+      }
+
+      const index = options.index || this.getIndex(modelName);
+      const version = getDocVersion(doc, registeredModel);
+
+      // External versions do not overwrite newer
+      // documents, which covers the create operation
+      const indexOptions = version === undefined ? {opType: options.opType} : {version};
+
+      indexOptions.refresh = _.isUndefined(options.refresh) ?
+        registeredModel.refresh : options.refresh;
+
+      indexOptions.routing = getDocRouting(doc, registeredModel);
+      indexOptions.parent = getDocParent(doc, registeredModel);
+
+      return this.filterDoc(doc)
+        .then((isMatching) => {
+
+          // Documents that do not match the filter (anymore)
+          // are removed from the index
+          if (!isMatching) {
+            const unindexOptions = _.pick(indexOptions, 'routing', 'refresh', 'version');
+            return this.unindexDoc(id, modelName, index, useBulk, unindexOptions);
+          }
+
+          return this.populateDoc(doc, registeredModel)
+            .then((doc) => {
+
+              // Apply transform
+              if (registeredModel.transform) {
+                return registeredModel.transform(doc);
+              }
+
+              return doc;
+            })
+            .then((doc) => {
+              const body = this.getDocBody(doc, registeredModel);
+              return this.es.indexDoc(id, body, modelName, index, useBulk, indexOptions);
+            })
+            .tap((res) => {
+
+              // Writes skipped due to a version conflict (the
+              // indexed document is newer) resolve with null
+              if (!useBulk && res !== null) {
+                const operation = options.opType === 'create' ? 'create' : 'index';
+                this.emitWritten({model: modelName, id, index, operation});
+              }
+            });
+        });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Gets the external version of a document, if its registered
+ * model has the version option. Dates are converted to numbers.
+ *
+ * @param {object} doc
+ * @param {object} registeredModel
+ * @returns {number|undefined}
+ */
+
+function getDocVersion(doc, registeredModel) {
+
+  if (!registeredModel.version) {
+    return undefined;
+  }
+
+  const version = _.isFunction(registeredModel.version) ?
+    registeredModel.version(doc) : doc.get(registeredModel.version);
+
+  if (_.isDate(version)) {
+    return version.getTime();
+  }
+
+  return _.isFinite(version) ? version : undefined;
+}
+
+/**
+ * Gets the routing of a document, which is the value of the routing
+ * option of its registered model or, for children (see join option),
+ * the id of their parent. Populated references are routed by id.
+ *
+ * @param {object} doc
+ * @param {object} registeredModel
+ * @returns {string|undefined}
+ */
+
+function getDocRouting(doc, registeredModel) {
+
+  const path = getRoutingPath(registeredModel);
+  let routing;
+
+  if (_.isFunction(registeredModel.routing)) {
+    routing = registeredModel.routing(doc);
+  } else if (path) {
+    routing = getRefId(doc.get(path));
+  }
+
+  return routing === undefined || routing === null ? undefined : String(routing);
+}
+
+/**
+ * Gets the id of the parent of a document, if its
+ * registered model has the join option
+ *
+ * @param {object} doc
+ * @param {object} registeredModel
+ * @returns {string|undefined}
+ */
+
+function getDocParent(doc, registeredModel) {
+
+  const parent = registeredModel.join ? getRefId(doc.get(registeredModel.join.path)) : undefined;
+  return parent === undefined || parent === null ? undefined : String(parent);
+}
+
+/**
+ * Gets the path of the routing of a registered model
+ * (if its routing option is a path)
+ *
+ * @param {object} registeredModel
+ * @returns {string|null}
+ */
+
+function getRoutingPath(registeredModel) {
+  return _.isString(registeredModel.routing) ? registeredModel.routing : null;
+}
+
+/**
+ * Gets the id of a (populated) reference
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+
+function getRefId(value) {
+  return value && value._id ? value._id : value;
+}
+
+/**
+ * Checks if a document matches the filter of its registered model.
+ * Documents of models without filter always match.
+ *
+ * @param {object} doc
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.filterDoc = function(doc) {
+
+  return Bluebird.resolve(doc)
+    .then((doc) => {
+
+      const registeredModel = this.registeredModels.get(doc.constructor.modelName);
+
+      if (!registeredModel || !registeredModel.filter) {
+        return true;
+      }
+
+      return registeredModel.filter(doc);
+    })
+    .then((isMatching) => !!isMatching);
+};
+
+/**
+ * Populates the referenced documents of the paths listed in the
+ * populate option of a registered model. A copy of the document
+ * is populated, so the original document remains unchanged.
+ *
+ * @param {object} doc
+ * @param {object} registeredModel
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.populateDoc = function(doc, registeredModel) {
+
+  if (!registeredModel.populate) {
+    return Bluebird.resolve(doc);
+  }
+
+  const obj = doc.toObject({depopulate: true, transform: false, virtuals: false});
+  const copy = registeredModel.model.hydrate(obj);
+
+  return Bluebird.resolve(copy.populate(registeredModel.populate));
+};
+
+/**
+ * Removes a document from the index, if it exists. If the routing
+ * is unknown (e.g. deletes of change streams without pre-images),
+ * documents of models with custom routing are looked up by id
+ * to get their routing, which only finds refreshed documents.
+ *
+ * Options:
+ * routing: routing of the document
+ * refresh: refresh policy (default: refresh option
+ * of the model, otherwise of the instance)
+ * version: external version of the document (see version option)
+ *
+ * @param {string} id
+ * @param {string} type
+ * @param {string} index
+ * @param {boolean} useBulk
+ * @param {object} [options]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.unindexDoc = function(id, type, index, useBulk, options) {
+
+  options = options || {};
+
+  const registeredModel = this.registeredModels.get(type) || {};
+  const refresh = _.isUndefined(options.refresh) ? registeredModel.refresh : options.refresh;
+  const version = options.version;
+  const lookup = options.routing === undefined ?
+    this.findRouting(id, type, index) : Bluebird.resolve(options.routing);
+
+  return lookup
+    .then((routing) => this.es.deleteDoc(id, type, index, useBulk, {routing, refresh, version}))
+    .tap((res) => {
+
+      // Deletes skipped due to a version conflict resolve with null
+      if (!useBulk && res !== null) {
+        this.emitWritten({model: type, id, index, operation: 'delete'});
+      }
+    })
+    .catch(errors.DocumentNotFoundError, () => null);
+};
+
+/**
+ * Gets the routing of an indexed document by id, for documents
+ * of models with custom routing. Resolves with
+ * undefined for other models or if the document is not found,
+ * e.g. as it has not been refreshed yet.
+ *
+ * @param {string} id
+ * @param {string} type
+ * @param {string} index
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.findRouting = function(id, type, index) {
+
+  const registeredModel = this.registeredModels.get(type);
+
+  if (!registeredModel || !registeredModel.routing) {
+    return Bluebird.resolve(undefined);
+  }
+
+  const body = {query: {ids: {values: [id]}}, _source: false, size: 1};
+
+  return this.es.search({index, type, body})
+    .then((res) => {
+      const hit = res.hits.hits[0];
+      return hit ? hit._routing : undefined;
+    });
+};
+
+/**
+ * Updates a saved mongoose document in Elasticsearch.
+ * For models registered with the partialUpdate option, only the
+ * modified (top level) fields are sent to Elasticsearch.
+ * Falls back to indexing the full document if the document is new
+ * (paths are not supplied), the model is versioned, the transform
+ * function changes other fields or the document does not exist
+ * in Elasticsearch yet.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {object} doc
+ * @param {Array<string>|null} paths
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.updateDoc = function(doc, paths, callback) {
+
+  return Bluebird.resolve(doc)
+    .then((doc) => {
+
+      const id = doc.id;
+      const modelName = doc.constructor.modelName;
+      const registeredModel = this.registeredModels.get(modelName);
+
+      if (!registeredModel) {
+        return;
+      }
+
+      // Partial updates can not be versioned
+      if (!registeredModel.partialUpdate || registeredModel.version || !paths) {
+        return this.indexDoc(doc, false);
+      }
+
+      // Nothing has been changed
+      if (!paths.length) {
+        return;
+      }
+
+      const index = this.getIndex(modelName);
+
+      // Fields that are not indexed are not sent
+      const changedFields = _.uniq(paths.map((path) => path.split('.')[0]))
+        .filter((field) => fields.isSelectedPath(field, registeredModel.fields));
+
+      return this.filterDoc(doc)
+        .then((isMatching) => {
+
+          if (!isMatching) {
+            const routing = getDocRouting(doc, registeredModel);
+            return this.unindexDoc(id, modelName, index, false, {routing});
+          }
+
+          return this.populateDoc(doc, registeredModel)
+            .then((doc) => {
+              const source = this.getDocBody(doc, registeredModel);
+              return this.updateFields(doc, source, changedFields);
+            });
+        });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Sends the supplied fields of a document as partial update
+ * or the full document if the transform function changes
+ * other fields or the document does not exist in the index.
+ * Nothing is sent if no fields are supplied and the
+ * transform function does not change other fields.
+ *
+ * @param {object} doc
+ * @param {object} source
+ * @param {Array<string>} fields
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.updateFields = function(doc, source, fields) {
+
+  const id = doc.id;
+  const modelName = doc.constructor.modelName;
+  const registeredModel = this.registeredModels.get(modelName);
+  const index = this.getIndex(modelName);
+  const routing = getDocRouting(doc, registeredModel);
+  const parent = getDocParent(doc, registeredModel);
+  const transform = registeredModel.transform ?
+    registeredModel.transform(doc) : Bluebird.resolve(doc);
+
+  return transform
+    .then((doc) => {
+
+      const body = this.getDocBody(doc, registeredModel);
+      const event = {model: modelName, id, index, operation: 'index'};
+      const options = {refresh: registeredModel.refresh, routing};
+      const indexOptions = _.assign({parent}, options);
+
+      if (!_.isEqual(_.omit(source, fields), _.omit(body, fields))) {
+
+        return this.es.indexDoc(id, body, modelName, index, false, indexOptions)
+          .tap(() => this.emitWritten(event));
+      }
+
+      // Only fields that are not indexed have been changed
+      if (!fields.length) {
+        return;
+      }
+
+      // Removed fields are set to null
+      const partialDoc = {};
+      fields.forEach((field) => {
+        partialDoc[field] = body[field] === undefined ? null : body[field];
+      });
+
+      // The full document is upserted into the write index of a rebuild
+      const updateOptions = _.assign({upsert: body}, indexOptions);
+
+      return this.es.updateDoc(id, partialDoc, modelName, index, false, updateOptions)
+        .tap(() => this.emitWritten(_.assign({}, event, {operation: 'update'})))
+        .catch(errors.DocumentNotFoundError, () => {
+
+          return this.es.indexDoc(id, body, modelName, index, false, indexOptions)
+            .tap(() => this.emitWritten(event));
+        });
+    });
+};
+
+/**
+ * Reads documents of a model by id from MongoDB
+ * and indexes them via the bulk buffer. Documents are
+ * read with a cursor in chunks of ids and indexed one by one.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {mongoose.Model} model
+ * @param {Array} ids
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.indexDocsById = function(model, ids, callback) {
+
+  return Bluebird.resolve(ids)
+    .then((ids) => {
+
+      if (!ids.length || !this.registeredModels.has(model.modelName)) {
+        return [];
+      }
+
+      return _.chunk(ids, 500);
+    })
+    .each((chunk) => {
+
+      const cursor = model.find({_id: {$in: chunk}}).cursor();
+      return cursor.eachAsync((doc) => this.indexDoc(doc, true));
+    })
+    .return()
+    .nodeify(callback);
+};
+
+/**
+ * Removes documents of a model by id
+ * from Elasticsearch via the bulk buffer
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {mongoose.Model} model
+ * @param {Array} ids
+ * @param {Map} [routings] - routing by id, for models with custom routing
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.removeDocsById = function(model, ids, routings, callback) {
+
+  // Check if routings are provided
+  // or if the routings argument is actually the callback
+  if (callback === undefined && _.isFunction(routings)) {
+    callback = routings;
+    routings = undefined;
+  }
+
+  return Bluebird.resolve(ids)
+    .then((ids) => {
+
+      if (!this.registeredModels.has(model.modelName)) {
+        return [];
+      }
+
+      return ids;
+    })
+    .map((id) => {
+
+      const type = model.modelName;
+      const routing = routings ? routings.get(String(id)) : undefined;
+
+      return this.unindexDoc(String(id), type, this.getIndex(type), true, {routing});
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Re-indexes the documents of all registered models that depend
+ * on the model of a changed or removed document (see dependsOn).
+ * Dependent documents are read with a cursor and
+ * indexed via the bulk buffer.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {object} doc
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.indexDependents = function(doc, callback) {
+
+  return Bluebird.resolve(doc)
+    .then((doc) => this.indexDependentsById(doc.constructor, [doc._id]))
+    .nodeify(callback);
+};
+
+/**
+ * Re-indexes the documents of all registered models that depend
+ * on the model of changed or removed documents by id (see indexDependents)
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {mongoose.Model} model
+ * @param {Array} ids
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.indexDependentsById = function(model, ids, callback) {
+
+  return Bluebird.resolve(ids)
+    .then((ids) => {
+
+      const dependents = [];
+
+      if (!ids.length) {
+        return dependents;
+      }
+
+      this.registeredModels.forEach((value) => {
+
+        if (!value.dependsOn) {
+          return;
+        }
+
+        value.dependsOn.forEach((dependency) => {
+
+          if (dependency.model === model.modelName) {
+            dependents.push({model: value.model, conditions: {[dependency.path]: {$in: ids}}});
+          }
+        });
+      });
+
+      return dependents;
+    })
+    .each((dependent) => {
+
+      const cursor = dependent.model.find(dependent.conditions).cursor();
+      return cursor.eachAsync((doc) => this.indexDoc(doc, true));
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Checks if registered models depend on a model (see dependsOn)
+ *
+ * @param {string} modelName
+ * @returns {boolean}
+ */
+
+Mongoolastic.prototype.hasDependents = function(modelName) {
+
+  return Array.from(this.registeredModels.values()).some((value) => {
+    return !!value.dependsOn && value.dependsOn.some((dependency) => {
+      return dependency.model === modelName;
+    });
+  });
+};
+
+/**
+ * Adds index or delete intents for documents of a registered
+ * model to the outbox. Resolves with the ids of the intents.
+ *
+ * Options:
+ * session: session of the write (if any)
+ * routings: routing by id, for models with custom routing
+ * lockedUntil: date until the intents can not be claimed
+ *
+ * @param {mongoose.Model} model
+ * @param {Array} ids
+ * @param {string} operation
+ * @param {Object} [options]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.addIntents = function(model, ids, operation, options) {
+
+  options = options || {};
+
+  return Bluebird.resolve(ids)
+    .then((ids) => {
+
+      if (!ids.length || !this.registeredModels.has(model.modelName)) {
+        return [];
+      }
+
+      const entries = ids.map((id) => {
+
+        const entry = {_id: new mongoose.Types.ObjectId(), model: model.modelName, id, operation};
+        const routing = options.routings ? options.routings.get(String(id)) : undefined;
+
+        if (routing !== undefined) {
+          entry.routing = routing;
+        }
+
+        if (options.lockedUntil) {
+          entry.lockedUntil = options.lockedUntil;
+        }
+
+        return entry;
+      });
+
+      return Bluebird.resolve(this.outbox.add(entries, options.session || null))
+        .then(() => _.pluck(entries, '_id'));
+    });
+};
+
+/**
+ * Starts the outbox worker, which delivers the intents
+ * of the outbox in batches. The next batch is delivered
+ * immediately if the previous one was full.
+ *
+ */
+
+Mongoolastic.prototype.startOutbox = function() {
+
+  if (this.isOutboxRunning) {
+    return;
+  }
+
+  const deliver = () => {
+
+    this.outboxTimer = null;
+
+    this.emitErrors(this.drainOutbox(), {operation: 'outbox'})
+      .then((count) => {
+
+        if (this.isOutboxRunning) {
+          const delay = count === this.outboxBatchSize ? 0 : this.outboxInterval;
+          this.outboxTimer = setTimeout(deliver, delay);
+        }
+      });
+  };
+
+  this.isOutboxRunning = true;
+  deliver();
+};
+
+/**
+ * Stops the outbox worker. Intents that are being
+ * delivered are pending operations (see flush).
+ *
+ */
+
+Mongoolastic.prototype.stopOutbox = function() {
+
+  this.isOutboxRunning = false;
+
+  if (this.outboxTimer) {
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+  }
+};
+
+/**
+ * Claims a batch of intents from the outbox and delivers them.
+ * Delivered intents are acknowledged, failed intents are
+ * emitted as error events and released to be retried with
+ * backoff. Thus every intent is delivered at least once.
+ * Resolves with the number of delivered intents.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.drainOutbox = function(callback) {
+
+  return Bluebird.resolve()
+    .then(() => {
+
+      if (!this.outbox) {
+        throw new errors.InvalidArgumentError('invalid-outbox');
+      }
+
+      return this.outbox.claim(this.outboxBatchSize, this.outboxLockTimeout);
+    })
+    .map((entry) => {
+
+      return this.deliverIntent(entry)
+        .then(() => ({entry, error: null}))
+        .catch((error) => ({entry, error}));
+
+    }, {concurrency: 10})
+    .then((res) => {
+
+      const delivered = _.pluck(_.filter(res, {error: null}), 'entry');
+      const failed = _.reject(res, {error: null});
+
+      failed.forEach((failure) => {
+
+        const entry = failure.entry;
+        const event = {model: entry.model, id: entry.id, operation: entry.operation};
+
+        this.emitError(failure.error, event);
+      });
+
+      return Bluebird.all([
+        delivered.length ? this.outbox.ack(_.pluck(delivered, '_id')) : null,
+        Bluebird.map(failed, (failure) => {
+          const retryAt = getRetryDate(failure.entry.attempts, this.outboxInterval);
+          return this.outbox.release([failure.entry._id], retryAt);
+        })
+      ])
+      .return(delivered.length);
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Delivers an intent by writing the current state of its
+ * document: the document is indexed if it exists in MongoDB
+ * and removed from the index otherwise. Thus, intents can be
+ * delivered more than once and in any order.
+ * Intents of models that are not registered are ignored.
+ *
+ * @param {object} entry
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.deliverIntent = function(entry) {
+
+  const registeredModel = this.registeredModels.get(entry.model);
+
+  if (!registeredModel) {
+    return Bluebird.resolve();
+  }
+
+  return Bluebird.resolve(registeredModel.model.findById(entry.id).exec())
+    .then((doc) => {
+
+      if (doc) {
+        return this.indexDoc(doc, false);
+      }
+
+      const index = this.getIndex(entry.model);
+      return this.unindexDoc(String(entry.id), entry.model, index, false, {
+        routing: entry.routing
+      });
+    });
+};
+
+/**
+ * Watches the change streams of the collections of all registered
+ * models (and of the models they depend on) and indexes or removes
+ * the changed documents. Unlike hooks, this includes writes of
+ * other services, the mongo shell or raw driver calls, thus hooks
+ * do nothing while watching. Requires a replica set.
+ *
+ * Changes are applied one by one per model and the resume token of
+ * the last applied change is stored, so watching resumes without
+ * gaps after a restart. If a change can not be applied (or the
+ * change stream fails), the change stream is reopened after the last
+ * applied change, with exponential backoff. Once the retries are
+ * exhausted, an error event is emitted and watching the model stops.
+ * Hooks of the model are active again and the error is kept (see
+ * getWatchErrors). Its resume token is not stored, thus watching
+ * again (after unwatch) starts with the failed change.
+ * Resolves once all change streams are open.
+ *
+ * Options:
+ * checkpoint: custom store for resume tokens with get(key),
+ * set(key, token) and clear(key) functions or false to not store
+ * them (default: stored in MongoDB, see sync)
+ * retries: number of retries of a failed change (default 5)
+ * retryDelay: delay of the first retry in ms, which doubles
+ * with every retry (default 1000)
+ *
+ * @param {object|function} [options]
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.watch = function(options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  return Bluebird.resolve(options)
+    .then((options) => {
+
+      if (options && !_.isPlainObject(options)) {
+        throw new errors.InvalidArgumentError('invalid-options');
+      }
+
+      options = options || {};
+
+      if (_.isObject(options.checkpoint) && !checkpoint.isValidStore(options.checkpoint)) {
+        throw new errors.InvalidArgumentError('invalid-checkpoint');
+      }
+
+      const isValidRetries = (value) => _.isUndefined(value) || _.isFinite(value) && value >= 0;
+
+      if (!isValidRetries(options.retries) || !isValidRetries(options.retryDelay)) {
+        throw new errors.InvalidArgumentError('invalid-options');
+      }
+
+      if (this.isWatching) {
+        return;
+      }
+
+      const models = new Map();
+      this.isWatching = true;
+
+      this.registeredModels.forEach((value) => {
+
+        models.set(value.model.modelName, value.model);
+
+        (value.dependsOn || []).forEach((dependency) => {
+          models.set(dependency.model, value.model.db.models[dependency.model]);
+        });
+      });
+
+      return Bluebird.map(Array.from(models.values()), (model) => {
+
+        let store = null;
+        if (_.isObject(options.checkpoint)) {
+          store = options.checkpoint;
+        } else if (options.checkpoint !== false) {
+          store = checkpoint.create(model.db);
+        }
+
+        return this.watchModel(model, store, {
+          retries: _.isUndefined(options.retries) ? 5 : options.retries,
+          retryDelay: _.isUndefined(options.retryDelay) ? 1000 : options.retryDelay
+        });
+      })
+      .catch((err) => {
+
+        // Stop watching the other models
+        return this.unwatch()
+          .then(() => {
+            throw err;
+          });
+      });
+    })
+    .return()
+    .nodeify(callback);
+};
+
+/**
+ * Opens the change stream of a model and applies its changes
+ * until watching is stopped or a change can not be applied
+ * within the retries
+ *
+ * @param {mongoose.Model} model
+ * @param {object|null} store
+ * @param {object} options - retries and retryDelay (see watch)
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.watchModel = function(model, store, options) {
+
+  const key = 'watch:' + model.modelName;
+  const watcher = {stream: null, isStopped: false, done: null, resumeToken: null, error: null};
+
+  this.watchers.set(model.modelName, watcher);
+
+  return Bluebird.all([store ? store.get(key) : null, waitForConnection(model.db)])
+    .spread((resumeToken) => {
+
+      const watchOptions = {fullDocument: 'updateLookup'};
+      const registeredModel = this.registeredModels.get(model.modelName);
+
+      // Pre-images provide the routing and version of deleted documents,
+      // if they are enabled on the collection (changeStreamPreAndPostImages)
+      if (registeredModel && (registeredModel.routing || registeredModel.version)) {
+        watchOptions.fullDocumentBeforeChange = 'whenAvailable';
+      }
+
+      // Change streams are (re)opened after the last applied change
+      const open = () => {
+
+        const streamOptions = _.clone(watchOptions);
+
+        if (watcher.resumeToken) {
+          streamOptions.resumeAfter = watcher.resumeToken;
+        }
+
+        watcher.stream = model.collection.watch([], streamOptions);
+      };
+
+      // Reads the next change (if any within the await time)
+      // and stores its resume token once it has been applied.
+      // Without changes, the resume token of the stream marks
+      // its position, thus no changes are skipped on retries.
+      const read = () => {
+
+        return Bluebird.resolve(watcher.stream.tryNext())
+          .then((change) => {
+
+            if (!change) {
+              watcher.resumeToken = watcher.stream.resumeToken || watcher.resumeToken;
+              return;
+            }
+
+            return this.applyChange(model, change)
+              .then(() => {
+
+                watcher.resumeToken = change._id;
+                return store ? store.set(key, change._id) : null;
+              });
+          });
+      };
+
+      const close = () => Bluebird.resolve(watcher.stream.close()).catch(() => null);
+
+      watcher.resumeToken = resumeToken || null;
+      open();
+
+      // The first read opens the change stream, afterwards changes
+      // are read in a loop, which does not chain the reads
+      return read()
+        .then(() => {
+
+          watcher.done = new Bluebird((resolve) => {
+
+            let attempts = 0;
+
+            const next = () => {
+
+              if (watcher.isStopped) {
+                return resolve(close());
+              }
+
+              read().then(() => {
+
+                attempts = 0;
+                next();
+              }, (err) => {
+
+                if (watcher.isStopped) {
+                  return resolve(close());
+                }
+
+                if (attempts < options.retries) {
+
+                  attempts++;
+
+                  const delay = getRetryDate(attempts, options.retryDelay) - Date.now();
+
+                  return close()
+                    .delay(Math.max(delay, 0))
+                    .then(() => {
+
+                      if (!watcher.isStopped) {
+                        open();
+                      }
+
+                      next();
+                    });
+                }
+
+                // Hooks of the model are active again
+                watcher.isStopped = true;
+                watcher.error = err;
+                this.emitError(err, {model: model.modelName, operation: 'watch'});
+
+                resolve(close());
+              });
+            };
+
+            next();
+          });
+        });
+    });
+};
+
+/**
+ * Checks if the changes of a model are being watched, which is
+ * the case while watching, unless watching the model has failed
+ *
+ * @param {string} modelName
+ * @returns {boolean}
+ */
+
+Mongoolastic.prototype.isWatchingModel = function(modelName) {
+
+  const watcher = this.watchers.get(modelName);
+  return this.isWatching && !(watcher && watcher.error);
+};
+
+/**
+ * Gets the errors of models that are not watched anymore,
+ * as their changes could not be applied (see watch)
+ *
+ * @returns {Array<object>} model and error per model
+ */
+
+Mongoolastic.prototype.getWatchErrors = function() {
+
+  const watchErrors = [];
+
+  this.watchers.forEach((watcher, model) => {
+
+    if (watcher.error) {
+      watchErrors.push({model, error: watcher.error});
+    }
+  });
+
+  return watchErrors;
+};
+
+/**
+ * Applies an event of a change stream. Inserted, updated and
+ * replaced documents are indexed, deleted documents are removed
+ * from the index and dependent documents are re-indexed.
+ * Events that do not affect a document (e.g. drop) are ignored.
+ *
+ * @param {mongoose.Model} model
+ * @param {object} change
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.applyChange = function(model, change) {
+
+  if (!change.documentKey) {
+    return Bluebird.resolve();
+  }
+
+  const id = change.documentKey._id;
+  const type = model.modelName;
+
+  return Bluebird.resolve()
+    .then(() => {
+
+      if (change.operationType === 'delete') {
+
+        const registeredModel = this.registeredModels.get(type);
+
+        if (!registeredModel) {
+          return;
+        }
+
+        const before = change.fullDocumentBeforeChange ?
+          model.hydrate(change.fullDocumentBeforeChange) : null;
+
+        return this.unindexDoc(String(id), type, this.getIndex(type), false, {
+          routing: before ? getDocRouting(before, registeredModel) : undefined,
+          version: before ? getDocVersion(before, registeredModel) : undefined
+        });
+      }
+
+      // The document might have been deleted since it was updated,
+      // then it is removed with the following delete event
+      if (change.fullDocument) {
+        return this.indexDoc(model.hydrate(change.fullDocument), false);
+      }
+    })
+    .then(() => this.indexDependents(model.hydrate({_id: id})));
+};
+
+/**
+ * Stops watching changes (see watch) and resolves
+ * once the changes that are being applied are done.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.unwatch = function(callback) {
+
+  const watchers = Array.from(this.watchers.values());
+
+  this.isWatching = false;
+  this.watchers.clear();
+
+  return Bluebird.map(watchers, (watcher) => {
+
+    watcher.isStopped = true;
+
+    // Interrupts waiting for the next change
+    if (watcher.stream) {
+      Bluebird.resolve(watcher.stream.close()).catch(() => null);
+    }
+
+    return watcher.done;
+  })
+  .return()
+  .nodeify(callback);
+};
+
+/**
+ * Waits until a mongoose connection is open
+ *
+ * @param {mongoose.Connection} connection
+ * @returns {Promise}
+ */
+
+function waitForConnection(connection) {
+
+  if (connection.readyState === 1) {
+    return Bluebird.resolve();
+  }
+
+  return Bluebird.fromNode((callback) => connection.once('open', () => callback()));
+}
+
+/**
+ * Gets the date to retry a failed intent with exponential
+ * backoff, which is limited to one hour
+ *
+ * @param {number} attempts
+ * @param {number} delay
+ * @returns {Date}
+ */
+
+function getRetryDate(attempts, delay) {
+  return new Date(Date.now() + Math.min(delay * Math.pow(2, attempts - 1), 3600000));
+}
+
+/**
+ * Gets the body of a document to be indexed, which only
+ * contains the selected fields of its registered model
+ *
+ * @param {object} doc
+ * @param {object} registeredModel
+ * @returns {object}
+ */
+
+Mongoolastic.prototype.getDocBody = function(doc, registeredModel) {
+  return fields.selectDoc(this.ensureDocObject(doc), registeredModel.fields);
+};
+
+/**
+ * Builds a has_child query, which matches parent documents
+ * with child documents of the supplied model that match the query
+ *
+ * @param {mongoose.Model|string} model - child model
+ * @param {object} query
+ * @param {object} [options] - further options, e.g. score_mode
+ * @throws {InvalidArgumentError}
+ * @returns {object}
+ */
+
+Mongoolastic.prototype.hasChild = function(model, query, options) {
+
+  const modelName = _.isString(model) ? model : model.modelName;
+  const registeredModel = this.registeredModels.get(modelName);
+
+  if (!registeredModel || !registeredModel.join) {
+    throw new errors.InvalidArgumentError('invalid-join');
+  }
+
+  return {has_child: _.assign({type: modelName, query}, options)};
+};
+
+/**
+ * Builds a has_parent query, which matches child documents
+ * with a parent document of the supplied model that matches the query
+ *
+ * @param {mongoose.Model|string} model - parent model
+ * @param {object} query
+ * @param {object} [options] - further options, e.g. score_mode
+ * @throws {InvalidArgumentError}
+ * @returns {object}
+ */
+
+Mongoolastic.prototype.hasParent = function(model, query, options) {
+
+  const modelName = _.isString(model) ? model : model.modelName;
+  const isParent = Array.from(this.registeredModels.values()).some((value) => {
+    return value.join && value.join.parent === modelName;
+  });
+
+  if (!isParent) {
+    throw new errors.InvalidArgumentError('invalid-join');
+  }
+
+  return {has_parent: _.assign({parent_type: modelName, query}, options)};
+};
+
+Mongoolastic.prototype.ensureDocObject = function(doc) {
+
+  if (_.isFunction(doc.toObject)) {
+    return doc.toObject();
+  }
+
+  return doc;
+};
+
+/**
+ * Removes a mongoose object from Elasticsearch
+ * Returns a promise or calls callback (if provided)
+ *
+ * Options:
+ * refresh: true, false or "wait_for" (default: refresh option
+ * of the model, otherwise of the instance)
+ *
+ * @param {object} doc
+ * @param {object|function} [options]
+ * @param {function} [callback]
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.removeDoc = function(doc, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  options = options || {};
+
+  return Bluebird.resolve(doc)
+    .then((doc) => {
+
+      // This method is called for ALL documents that share the
+      // model's SCHEMA. Thus we need to check first and filter
+      // all documents that share the same schema, but belong to
+      // other, non registered models.
+      const type = doc.constructor.modelName;
+      const isRegistered = this.registeredModels.has(type);
+
+      if (!isRegistered) {
+        return;
+      }
+
+      const id = doc.id;
+      const index = this.getIndex(type);
+      const registeredModel = this.registeredModels.get(type);
+      const routing = getDocRouting(doc, registeredModel);
+      const refresh = _.isUndefined(options.refresh) ? registeredModel.refresh : options.refresh;
+      const version = getDocVersion(doc, registeredModel);
+
+      return this.es.deleteDoc(id, type, index, false, {routing, refresh, version})
+        .tap((res) => {
+
+          // Deletes skipped due to a version conflict resolve with null
+          if (res !== null) {
+            this.emitWritten({model: type, id, index, operation: 'delete'});
+          }
+        });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Gets a mongoose document from Elasticsearch
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {object} doc
+ * @param {function} [callback]
+ * @throws {ModelNotFoundError}
+ * @throws {DocumentNotFoundError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.getDoc = function(doc, callback) {
+
+  return Bluebird.resolve(doc)
+    .then((doc) => {
+
+      const type = doc.constructor.modelName;
+
+      const registeredModel = this.registeredModels.get(type);
+
+      if (!registeredModel) {
+        throw new errors.ModelNotFoundError(type);
+      }
+
+      const routing = getDocRouting(doc, registeredModel);
+      return this.es.getDoc(doc.id, type, this.getIndex(type), {routing});
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Gets the index name of a registered model.
+ * Falls back to the default index if the model
+ * has been registered without its own index.
+ *
+ * @param {string} modelName
+ * @returns {string}
+ */
+
+Mongoolastic.prototype.getIndex = function(modelName) {
+
+  const registeredModel = this.registeredModels.get(modelName);
+
+  if (registeredModel && registeredModel.index) {
+    return registeredModel.index;
+  }
+
+  return this.index;
+};
+
+/**
+ * Gets the names of the default index and
+ * all indices used by registered models
+ *
+ * @returns {Array<string>}
+ */
+
+Mongoolastic.prototype.getIndices = function() {
+
+  const indices = [this.index];
+
+  this.registeredModels.forEach((value, key) => {
+    indices.push(this.getIndex(key));
+  });
+
+  return _.uniq(_.compact(indices));
+};
+
+/**
+ * Gets the merged settings for an index. The default index
+ * starts with the settings supplied on connect, which are
+ * merged with the settings of all models using the index.
+ *
+ * @param {string} index
+ * @returns {object}
+ */
+
+Mongoolastic.prototype.getSettings = function(index) {
+
+  let settings = index === this.index ? _.merge({}, this.settings) : {};
+
+  this.registeredModels.forEach((value, key) => {
+
+    if (value.settings && this.getIndex(key) === index) {
+      settings = _.merge(settings, value.settings);
+    }
+  });
+
+  return settings;
+};
+
+/**
+ * Gets the merged mappings for all registered models.
+ * If an index is supplied, only models using this
+ * index are taken into account.
+ *
+ * @param {string} [index]
+ * @throws {InvalidArgumentError}
+ * @returns {object}
+ */
+
+Mongoolastic.prototype.getMappings = function(index) {
+
+  let mappings = {};
+
+  this.registeredModels.forEach((value, key) => {
+
+    if (index && this.getIndex(key) !== index) {
+      return;
+    }
+
+    if (value.mapping) {
+      mappings = _.merge(mappings, {
+        [key]: {properties: this.getPopulatedMapping(value)}
+      });
+    }
+
+    // Children are mapped with the type of their parent
+    if (value.join) {
+      mappings = _.merge(mappings, {
+        [key]: {_parent: {type: value.join.parent}}
+      });
+    }
+  });
+
+  return mappings;
+};
+
+/**
+ * Gets the mapping properties of a registered model, in which
+ * populated paths are mapped as objects with the properties of
+ * the referenced model. Referenced models are resolved lazily,
+ * as they might not have been compiled on registration.
+ * Paths with unknown references keep their original mapping.
+ *
+ * @param {object} registeredModel
+ * @returns {object}
+ */
+
+Mongoolastic.prototype.getPopulatedMapping = function(registeredModel) {
+
+  if (!registeredModel.populate) {
+    return registeredModel.mapping;
+  }
+
+  const model = registeredModel.model;
+
+  const populated = registeredModel.populate.reduce((mapping, path) => {
+
+    const refModel = getRefModel(model, path);
+
+    if (!refModel) {
+      return mapping;
+    }
+
+    const registeredRefModel = this.registeredModels.get(refModel.modelName);
+    const properties = registeredRefModel && registeredRefModel.mapping ?
+      registeredRefModel.mapping : mappings.generate(refModel.schema);
+
+    // Nested paths (e.g. "info.author") are converted into object mappings
+    const keys = path.split('.');
+    let override = {
+      [keys.pop()]: {properties: _.assign({_id: {type: 'keyword'}}, properties)}
+    };
+
+    while (keys.length) {
+      override = {[keys.pop()]: {properties: override}};
+    }
+
+    return mappings.merge(mapping, override);
+  }, registeredModel.mapping);
+
+  return fields.selectMapping(populated, registeredModel.fields);
+};
+
+/**
+ * Gets the model referenced by a schema path
+ * (or the elements of an array path)
+ *
+ * @param {mongoose.Model} model
+ * @param {string} path
+ * @returns {mongoose.Model|null}
+ */
+
+function getRefModel(model, path) {
+
+  const schemaType = model.schema.path(path);
+
+  if (!schemaType) {
+    return null;
+  }
+
+  const caster = schemaType.caster || schemaType.embeddedSchemaType;
+  let ref = schemaType.options.ref || (caster && caster.options ? caster.options.ref : null);
+
+  if (ref && ref.modelName) {
+    ref = ref.modelName;
+  }
+
+  return _.isString(ref) && model.db.models[ref] ? model.db.models[ref] : null;
+}
+
+/**
+ * Compares the mappings of the registered models with the
+ * mappings of the live indices. Resolves with a list of
+ * differences per index and type, each with the added,
+ * removed and conflicting fields (see mapping.diff).
+ * Types without differences are left out.
+ * If an index is supplied, only this index is compared.
+ *
+ * @param {string} [index]
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.diffMappings = function(index, callback) {
+
+  // Check if index is provided
+  // or if the index argument is actually the callback
+  if (callback === undefined && _.isFunction(index)) {
+    callback = index;
+    index = undefined;
+  }
+
+  return Bluebird.resolve(index)
+    .then((index) => {
+
+      if (index && !this.es.isValidIndex(index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      return index ? [index] : this.getIndices();
+    })
+    .map((index) => {
+
+      return this.getLiveMappings(index)
+        .then((liveMappings) => {
+
+          return _.map(this.getMappings(index), (value, type) => {
+            return _.assign({index, type}, mappings.diff(value.properties, liveMappings[type]));
+          });
+        });
+    })
+    .then((diffs) => {
+
+      return _.flatten(diffs).filter((diff) => {
+        return diff.added.length || diff.removed.length || diff.conflicts.length;
+      });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Applies additive mapping changes of the registered models to
+ * an existing index. Fields that only exist in the index are kept.
+ * Conflicting changes are rejected with an InvalidMappingError,
+ * which lists the conflicting paths and carries their diffs.
+ *
+ * @param {string} index
+ * @throws {InvalidMappingError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.updateMappings = function(index) {
+
+  return this.diffMappings(index)
+    .then((diffs) => {
+
+      const conflicts = diffs.filter((diff) => diff.conflicts.length);
+
+      if (conflicts.length) {
+
+        const paths = _.flatten(conflicts.map((diff) => {
+
+          const prefix = diff.index + '/' + diff.type + '.';
+          return diff.conflicts.map((conflict) => prefix + conflict.path);
+        }));
+
+        const message = 'Incompatible mapping changes: ' + paths.join(', ');
+        const err = new errors.InvalidMappingError(message);
+
+        err.diffs = conflicts;
+        throw err;
+      }
+
+      const added = diffs.filter((diff) => diff.added.length);
+
+      if (!added.length) {
+        return;
+      }
+
+      // Only added fields are put, as compatible fields
+      // might differ from the generated mapping
+      const indexMappings = this.getMappings(index);
+
+      return this.getLiveMappings(index)
+        .then((liveMappings) => {
+
+          return Bluebird.each(added, (diff) => {
+
+            const mapping = indexMappings[diff.type];
+            const properties = mappings.additions(mapping.properties || {},
+              liveMappings[diff.type] || {});
+
+            return this.es.putMapping(index, diff.type,
+              _.assign(_.omit(mapping, 'properties'), {properties}));
+          });
+        });
+    });
+};
+
+/**
+ * Gets the mapping properties of an existing index by type
+ *
+ * @param {string} index
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.getLiveMappings = function(index) {
+
+  return this.es.getIndexMapping(index)
+    .then((res) => {
+
+      // The response is keyed by the actual index name,
+      // which differs if the index is an alias
+      const live = _.values(res)[0];
+
+      return _.mapValues(live && live.mappings ? live.mappings : {}, (mapping) => {
+        return mapping.properties || {};
+      });
+    });
+};
+
+/**
+ * Syncs the documents of a registered model
+ * Documents that do not match the filter of
+ * the model are removed from the index.
+ *
+ * Documents are read in batches in the order of their _id and
+ * indexed via the bulk buffer. After each batch, a progress event
+ * with processed and total counts is emitted and the _id of the
+ * last document is stored as checkpoint (if enabled), once the bulk
+ * buffer has been flushed. Thus, an interrupted sync continues after
+ * the last written batch. Checkpoints are stored per model, index
+ * and query and cleared once the sync has been completed.
+ *
+ * Options:
+ * query: MongoDB query to sync only matching documents
+ * batchSize: number of documents per batch (default 500)
+ * concurrency: number of documents indexed in parallel (default 1)
+ * checkpoint: true to store checkpoints in MongoDB or a custom
+ * store with get(key), set(key, lastId) and clear(key) functions
+ * index: index to sync into instead of the index of the model
+ * opType: "create" to not overwrite documents that already exist
+ * refresh: refresh policy of the indexed documents. By default,
+ * documents are not refreshed, instead the index is refreshed once
+ * all documents have been written.
+ *
+ * @param {mongoose.Model} model
+ * @param {object|function} [options]
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.sync = function(model, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  return Bluebird.resolve([model, options])
+    .spread((model, options) => {
+
+      // Validation
+      if (!(model.schema instanceof mongoose.Schema)) {
+        throw new errors.InvalidArgumentError('invalid-model');
+      }
+
+      if (options && !_.isPlainObject(options)) {
+        throw new errors.InvalidArgumentError('invalid-options');
+      }
+
+      options = options || {};
+
+      if (options.query && !_.isPlainObject(options.query)) {
+        throw new errors.InvalidArgumentError('invalid-query');
+      }
+
+      if (options.batchSize && !(_.isFinite(options.batchSize) && options.batchSize > 0)) {
+        throw new errors.InvalidArgumentError('invalid-batch-size');
+      }
+
+      if (options.concurrency && !(_.isFinite(options.concurrency) && options.concurrency > 0)) {
+        throw new errors.InvalidArgumentError('invalid-concurrency');
+      }
+
+      if (options.index && !this.es.isValidIndex(options.index)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
+      }
+
+      if (!_.isUndefined(options.refresh) && !this.es.isValidRefresh(options.refresh)) {
+        throw new errors.InvalidArgumentError('invalid-refresh');
+      }
+
+      let store = null;
+      if (options.checkpoint === true) {
+        store = checkpoint.create(model.db);
+      } else if (options.checkpoint) {
+
+        if (checkpoint.isValidStore(options.checkpoint)) {
+          store = options.checkpoint;
+        } else {
+          throw new errors.InvalidArgumentError('invalid-checkpoint');
+        }
+      }
+
+      const index = options.index || this.getIndex(model.modelName);
+      const query = options.query || {};
+
+      const sync = {
+        model,
+        store,
+        key: getSyncKey(model.modelName, index, query),
+        query,
+        batchSize: options.batchSize || 500,
+        concurrency: options.concurrency || 1,
+        index,
+        indexOptions: {
+          index: options.index,
+          opType: options.opType,
+          refresh: _.isUndefined(options.refresh) ? false : options.refresh
+        },
+        processed: 0,
+        total: 0,
+        lastId: null
+      };
+
+      return Bluebird.resolve(store ? store.get(sync.key) : null)
+        .then((lastId) => {
+
+          sync.lastId = lastId;
+
+          return Bluebird.all([
+            countDocs(model, sync.query),
+            lastId ? countDocs(model, {$and: [sync.query, {_id: {$lte: lastId}}]}) : 0
+          ]);
+        })
+        .spread((total, processed) => {
+
+          sync.total = total;
+          sync.processed = processed;
+
+          return this.syncBatch(sync);
+        })
+        .then(() => {
+
+          if (_.isUndefined(options.refresh)) {
+            return this.es.flush()
+              .then(() => this.es.refresh(sync.index));
+          }
+        })
+        .then(() => {
+          return store ? store.clear(sync.key) : null;
+        })
+        .then(() => {
+          return {processed: sync.processed, total: sync.total};
+        });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Gets the checkpoint key of a sync, which contains the model name,
+ * the index and a hash of the query (regular expressions included)
+ *
+ * @param {string} modelName
+ * @param {string} index
+ * @param {object} query
+ * @returns {string}
+ */
+
+function getSyncKey(modelName, index, query) {
+
+  const json = JSON.stringify(query, (key, value) => _.isRegExp(value) ? String(value) : value);
+  const hash = crypto.createHash('sha1').update(json).digest('hex');
+
+  return [modelName, index, hash].join(':');
+}
+
+/**
+ * Syncs the next batch of documents and
+ * continues until all documents have been synced
+ *
+ * @param {object} sync
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.syncBatch = function(sync) {
+
+  const query = sync.lastId ? {$and: [sync.query, {_id: {$gt: sync.lastId}}]} : sync.query;
+  const find = sync.model.find(query).sort({_id: 1}).limit(sync.batchSize);
+
+  return Bluebird.resolve(find.exec())
+    .then((docs) => {
+
+      if (!docs.length) {
+        return;
+      }
+
+      const indexDoc = (doc) => this.indexDoc(doc, true, sync.indexOptions);
+
+      return Bluebird.map(docs, indexDoc, {concurrency: sync.concurrency})
+        .then(() => {
+
+          sync.processed += docs.length;
+          sync.lastId = _.last(docs)._id;
+
+          if (!sync.store) {
+            return;
+          }
+
+          // The documents have to be written before
+          // the sync can continue after them
+          return this.es.flush()
+            .then(() => sync.store.set(sync.key, sync.lastId));
+        })
+        .then(() => {
+
+          this.emit('progress', {
+            model: sync.model.modelName,
+            processed: sync.processed,
+            total: sync.total
+          });
+
+          if (docs.length === sync.batchSize) {
+            return this.syncBatch(sync);
+          }
+        });
+    });
+};
+
+/**
+ * Verifies the index of a model against MongoDB and reports the
+ * ids of documents that are missing in the index, stale (their
+ * version differs) or orphaned (they do not exist in MongoDB or do
+ * not match the filter of the model anymore). Documents are read
+ * from MongoDB in batches (like sync) and compared with the indexed
+ * documents of each batch, which are read with one request. Orphans
+ * are found by reading the ids of all indexed documents with the
+ * scroll API. Documents without version are not compared.
+ * Resolves with {checked, missing, stale, orphaned}.
+ *
+ * Options:
+ * repair: true to re-index missing and stale documents and to
+ * delete orphaned documents via the bulk buffer
+ * version: path of the version to compare (default the version
+ * option of the model if it is a path, updatedAt if the schema
+ * has timestamps, otherwise the version key)
+ * batchSize: number of documents per batch (default 500)
+ * concurrency: number of documents filtered in parallel (default 1)
+ *
+ * @param {mongoose.Model} model
+ * @param {object|function} [options]
+ * @param {function} [callback]
+ * @throws {InvalidArgumentError}
+ * @throws {ModelNotFoundError}
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.verify = function(model, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  return Bluebird.resolve([model, options])
+    .spread((model, options) => {
+
+      // Validation
+      if (!(model.schema instanceof mongoose.Schema)) {
+        throw new errors.InvalidArgumentError('invalid-model');
+      }
+
+      if (!this.registeredModels.has(model.modelName)) {
+        throw new errors.ModelNotFoundError(model.modelName);
+      }
+
+      if (options && !_.isPlainObject(options)) {
+        throw new errors.InvalidArgumentError('invalid-options');
+      }
+
+      options = options || {};
+
+      if (options.version && !_.isString(options.version)) {
+        throw new errors.InvalidArgumentError('invalid-version');
+      }
+
+      if (options.batchSize && !(_.isFinite(options.batchSize) && options.batchSize > 0)) {
+        throw new errors.InvalidArgumentError('invalid-batch-size');
+      }
+
+      if (options.concurrency && !(_.isFinite(options.concurrency) && options.concurrency > 0)) {
+        throw new errors.InvalidArgumentError('invalid-concurrency');
+      }
+
+      const verify = {
+        model,
+        type: model.modelName,
+        index: this.getIndex(model.modelName),
+        version: options.version || getVersionPath(this.registeredModels.get(model.modelName)),
+        batchSize: options.batchSize || 500,
+        concurrency: options.concurrency || 1,
+        lastId: null,
+        checked: 0,
+        missing: [],
+        stale: [],
+        orphaned: [],
+        routings: new Map()
+      };
+
+      return this.verifyBatch(verify)
+        .then(() => this.verifyIndex(verify, this.searchIterator(model, {
+          _source: false,
+          size: verify.batchSize
+        })))
+        .then(() => {
+
+          if (!options.repair) {
+            return;
+          }
+
+          const ids = verify.missing.concat(verify.stale);
+
+          return Bluebird.each(_.chunk(ids, verify.batchSize), (ids) => {
+            return this.indexDocsById(model, ids);
+          })
+          .then(() => this.removeDocsById(model, verify.orphaned, verify.routings))
+          .then(() => this.es.flush());
+        })
+        .then(() => {
+
+          return {
+            checked: verify.checked,
+            missing: verify.missing,
+            stale: verify.stale,
+            orphaned: verify.orphaned
+          };
+        });
+    })
+    .nodeify(callback);
+};
+
+/**
+ * Verifies the next batch of documents of a model
+ * and continues until all documents have been verified.
+ * Only ids, versions and routings are read, unless the model
+ * has a filter or routing function, which require the full documents.
+ *
+ * @param {object} verify
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.verifyBatch = function(verify) {
+
+  const registeredModel = this.registeredModels.get(verify.type);
+  const query = verify.lastId ? {_id: {$gt: verify.lastId}} : {};
+  const find = verify.model.find(query).sort({_id: 1}).limit(verify.batchSize);
+
+  if (!registeredModel.filter && !_.isFunction(registeredModel.routing)) {
+    find.select(_.compact(['_id', verify.version, getRoutingPath(registeredModel)]).join(' '));
+  }
+
+  return Bluebird.resolve(find.exec())
+    .then((docs) => {
+
+      if (!docs.length) {
+        return;
+      }
+
+      return this.verifyDocs(docs, verify)
+        .then(() => {
+
+          verify.checked += docs.length;
+          verify.lastId = _.last(docs)._id;
+
+          if (docs.length === verify.batchSize) {
+            return this.verifyBatch(verify);
+          }
+        });
+    });
+};
+
+/**
+ * Verifies a batch of documents against their indexed versions,
+ * which are read with one request and compared in memory.
+ * Documents that do not match the filter must not be indexed.
+ *
+ * @param {Array<object>} docs
+ * @param {object} verify
+ * @returns {Promise}
+ */
+
+Mongoolastic.prototype.verifyDocs = function(docs, verify) {
+
+  const registeredModel = this.registeredModels.get(verify.type);
+  const routings = docs.map((doc) => {
+    return registeredModel ? getDocRouting(doc, registeredModel) : undefined;
+  });
 
-Mongoolastic.prototype.InvalidArgumentError = errors.InvalidArgumentError;
+  const ids = docs.map((doc, i) => ({id: doc.id, routing: routings[i]}));
+  const source = verify.version ? [verify.version] : false;
+  const filterDoc = (doc) => this.filterDoc(doc);
+
+  return Bluebird.join(
+    Bluebird.map(docs, filterDoc, {concurrency: verify.concurrency}),
+    this.es.getDocs(ids, verify.type, verify.index, {source}),
+    (matches, hits) => {
+
+      docs.forEach((doc, i) => {
+
+        const hit = hits[i];
+
+        if (!matches[i]) {
+
+          if (hit.found) {
+            verify.orphaned.push(doc.id);
+            verify.routings.set(doc.id, routings[i]);
+          }
+
+          return;
+        }
+
+        if (!hit.found) {
+          verify.missing.push(doc.id);
+          return;
+        }
+
+        const version = verify.version ? _.get(hit._source, verify.version) : undefined;
+
+        if (version !== undefined && !isSameVersion(doc.get(verify.version), version)) {
+          verify.stale.push(doc.id);
+        }
+      });
+    });
+};
 
 /**
- * Connects to Elasticsearch, ensures the index
- * and tests the connection with a ping.
+ * Reads the ids of the indexed documents of a model in batches
+ * and reports the documents that do not exist in MongoDB
  *
- * @param {string|array} hosts
- * @param {string} index
- * @param {object|function} [options]
- * @param {function} [callback]
+ * @param {object} verify
+ * @param {ScrollIterator} iterator
  * @returns {Promise}
  */
 
-Mongoolastic.prototype.connect = function(hosts, index, options, callback) {
+Mongoolastic.prototype.verifyIndex = function(verify, iterator) {
 
-  // Check if options are provided
-  // or if the options argument is actually the callback
-  if (callback === undefined && _.isFunction(options)) {
-    callback = options;
-    options = undefined;
-  }
+  const readHits = (hits) => {
 
-  return Bluebird.resolve([hosts, index, options])
-    .spread((hosts, index, options) => {
+    if (hits.length === verify.batchSize) {
+      return Bluebird.resolve(hits);
+    }
 
-      // Index
-      if (this.es.isValidIndex(index)) {
-        this.index = index;
-      }
+    return iterator.next()
+      .then((res) => res.done ? hits : readHits(hits.concat(res.value)));
+  };
 
-      // Options
-      if (options && !_.isPlainObject(options)) {
-        throw new errors.InvalidArgumentError('invalid-options');
-      }
+  return readHits([])
+    .then((hits) => {
 
-      // Settings
-      if (options && this.es.isValidSettings(options.settings)) {
-        this.settings = options.settings;
+      if (!hits.length) {
+        return;
       }
 
-      return this.es.connect(hosts);
-    })
-    .then(() => {
-      return this.es.ensureIndex(this.index, this.settings, this.getMappings());
-    })
-    .nodeify(callback);
+      const ids = _.pluck(hits, '_id');
+
+      return findIds(verify.model, {_id: {$in: ids}}, false)
+        .then((existingIds) => {
+
+          const existing = new Set(existingIds.map(String));
+
+          hits.forEach((hit) => {
+
+            if (!existing.has(hit._id)) {
+              verify.orphaned.push(hit._id);
+              verify.routings.set(hit._id, hit._routing);
+            }
+          });
+
+          if (hits.length === verify.batchSize) {
+            return this.verifyIndex(verify, iterator);
+          }
+        });
+    });
 };
 
 /**
- * Registers a model to be connected to with an Elasticsearch index
- * Returns promise or calls callback (if provided)
+ * Gets the path of the version of the documents of a registered
+ * model: the version option (if it is a path), updatedAt if the
+ * schema has timestamps, otherwise the version key (if any)
  *
- * @param {object} model
- * @param {object} [options]
+ * @param {object} registeredModel
+ * @returns {string|null}
+ */
+
+function getVersionPath(registeredModel) {
+
+  const schema = registeredModel.model.schema;
+
+  if (_.isString(registeredModel.version)) {
+    return registeredModel.version;
+  }
+
+  if (schema.path('updatedAt')) {
+    return 'updatedAt';
+  }
+
+  return schema.options.versionKey || null;
+}
+
+/**
+ * Checks if the version of a document in MongoDB
+ * equals the version of the indexed document.
+ * Dates are indexed as ISO strings.
+ *
+ * @param {*} expected
+ * @param {*} actual
+ * @returns {boolean}
+ */
+
+function isSameVersion(expected, actual) {
+
+  if (_.isDate(expected)) {
+    return expected.getTime() === new Date(actual).getTime();
+  }
+
+  return String(expected) === String(actual);
+}
+
+/**
+ * Rebuilds an index without downtime. The index name is used as
+ * an alias that points to a versioned index (e.g. "animals_v2").
+ * A new version is created with the current settings and mappings
+ * and the documents of all models using the index are synced into it.
+ * Meanwhile, all writes go to both the current and the new version,
+ * so no changes are lost during the rebuild. Finally, the alias is
+ * swapped to the new version in one atomic operation.
+ *
+ * An existing index that is not an alias yet is deleted
+ * and replaced by the alias when swapping.
+ *
+ * Only this process writes to the new version during the rebuild.
+ * Changes written by other processes (e.g. other app instances) in
+ * the meantime are lost when swapping, thus they need to be stopped
+ * or the models need to be verified with repair afterwards.
+ *
+ * Options:
+ * index: name of the index to rebuild (default index)
+ * deleteOld: true to delete the previous version afterwards
+ * batchSize, concurrency: passed to sync
+ *
+ * @param {object|function} [options]
  * @param {function} [callback]
  * @throws {InvalidArgumentError}
  * @returns {Promise}
  */
 
-Mongoolastic.prototype.registerModel = function(model, options, callback) {
-
-  const self = this;
+Mongoolastic.prototype.reindex = function(options, callback) {
 
   // Check if options are provided
   // or if the options argument is actually the callback
@@ -94,223 +3511,366 @@ Mongoolastic.prototype.registerModel = function(model, options, callback) {
     options = undefined;
   }
 
-  return Bluebird.resolve(model)
-    .then((model) => {
+  return Bluebird.resolve(options)
+    .then((options) => {
 
-      // Validation
-      if (!(model.schema instanceof mongoose.Schema)) {
-        throw new errors.InvalidArgumentError('invalid-model');
+      if (options && !_.isPlainObject(options)) {
+        throw new errors.InvalidArgumentError('invalid-options');
       }
 
-      // Mapping
-      let mapping = null;
-      if (options && options.mapping) {
+      options = options || {};
+      const alias = options.index || this.index;
 
-        if (this.es.isValidMapping(options.mapping)) {
-          mapping = options.mapping;
-        } else {
-          throw new errors.InvalidArgumentError('invalid-mapping');
-        }
+      if (!this.es.isValidIndex(alias)) {
+        throw new errors.InvalidArgumentError('invalid-index-name');
       }
 
-      // Transform function
-      let transform = null;
-      if (options && options.transform) {
+      return Bluebird.join(
+        this.es.getAliasIndices(alias),
+        this.es.indexExists(alias),
+        (previous, exists) => {
 
-        if (_.isFunction(options.transform)) {
-          transform = Bluebird.promisify(options.transform);
-        } else {
-          throw new errors.InvalidArgumentError('invalid-transform');
-        }
-      }
+          const index = alias + '_v' + getNextVersion(alias, previous);
+          const isIndex = exists && !previous.length;
 
-      // Register model, mapping and hooks
-      self.registeredModels.set(model.modelName, {model, mapping, transform});
+          return this.rebuildIndex(alias, index, options)
+            .then(() => {
 
-      model.schema.post('remove', function onRemove(doc) {
-        self.removeDoc(doc);
-      });
+              const actions = previous.map((previous) => ({remove: {index: previous, alias}}));
 
-      model.schema.post('save', function onSave(doc) {
-        self.indexDoc(doc, false);
-      });
+              if (isIndex) {
+                actions.push({remove_index: {index: alias}});
+              }
+
+              actions.push({add: {index, alias}});
+              return this.es.updateAliases(actions);
+            })
+            .catch((err) => {
+
+              this.es.removeWriteIndex(alias);
+
+              return this.es.ensureDeleteIndex(index)
+                .then(() => {
+                  throw err;
+                });
+            })
+            .then(() => {
+
+              this.es.removeWriteIndex(alias);
+
+              if (options.deleteOld && previous.length) {
+                return this.es.ensureDeleteIndex(previous);
+              }
+            })
+            .then(() => {
+              return {index, previous};
+            });
+        });
     })
     .nodeify(callback);
 };
 
 /**
- * Indexes a mongoose document in Elasticsearch
- * Returns a promise or calls callback (if provided)
+ * Creates a new version of an index, writes all changes to it
+ * and syncs the documents of all models using the index into it.
+ * Synced documents do not overwrite documents that have been
+ * written in the meantime, as those are more recent. Documents
+ * deleted in the meantime are deleted again once all documents
+ * have been flushed, as a synced batch might have been read
+ * before and written after their deletion. Partial updates of
+ * documents that have not been synced yet index the full document.
  *
- * @param {object} doc
- * @param {boolean} useBulk
- * @param {function} [callback]
- * @throws {ModelNotFoundError}
+ * @param {string} alias
+ * @param {string} index
+ * @param {object} options
  * @returns {Promise}
  */
 
-Mongoolastic.prototype.indexDoc = function(doc, useBulk, callback) {
+Mongoolastic.prototype.rebuildIndex = function(alias, index, options) {
 
-  return Bluebird.resolve(doc)
-    .then((doc) => {
+  const models = [];
 
-      // This method is called for ALL documents that share the
-      // model's SCHEMA. Thus, we need to check first and filter out
-      // all documents that share the same schema, but belong to
-      // other, non registered models.
-      const id = doc.id;
-      const modelName = doc.constructor.modelName;
-      const registeredModel = this.registeredModels.get(modelName);
+  this.registeredModels.forEach((value, key) => {
 
-      if (!registeredModel) {
-        return;
-      }
+    if (this.getIndex(key) === alias) {
+      models.push(value.model);
+    }
+  });
 
-      // Apply transform
-      if (registeredModel.transform) {
+  const syncOptions = {
+    index,
+    opType: 'create',
+    batchSize: options.batchSize,
+    concurrency: options.concurrency
+  };
 
-        return registeredModel.transform(doc)
-          .then((doc) => {
-            return this.es.indexDoc(id, this.ensureDocObject(doc), modelName, this.index, useBulk);
-          });
-      }
+  return this.es.ensureIndex(index, this.getSettings(alias), this.getMappings(alias))
+    .then(() => {
 
-      return this.es.indexDoc(id, this.ensureDocObject(doc), modelName, this.index, useBulk);
+      this.es.addWriteIndex(alias, index);
+      return Bluebird.each(models, (model) => this.sync(model, syncOptions));
     })
-    .nodeify(callback);
+    .then(() => this.es.flush())
+    .then(() => this.es.removeDeletedDocs(alias));
 };
 
-Mongoolastic.prototype.ensureDocObject = function(doc) {
+/**
+ * Gets the next version number for an index,
+ * based on the versioned indices an alias points to
+ *
+ * @param {string} alias
+ * @param {Array<string>} indices
+ * @returns {number}
+ */
 
-  if (_.isFunction(doc.toObject)) {
-    return doc.toObject();
-  }
+function getNextVersion(alias, indices) {
 
-  return doc;
-};
+  const versions = indices.map((index) => {
+
+    const version = index.slice(alias.length).match(/^_v(\d+)$/);
+    return version ? parseInt(version[1], 10) : 0;
+  });
+
+  return _.max(versions.concat(0)) + 1;
+}
 
 /**
- * Removes a mongoose object from Elasticsearch
+ * Searches the Elasticsearch index based on a supplied query
+ * If the hydrate option is set, the hits are loaded as
+ * mongoose documents (see hydrate), otherwise the raw
+ * Elasticsearch response is returned.
  * Returns a promise or calls callback (if provided)
  *
- * @param {object} doc
+ * @param {mongoose.Model} model
+ * @param {object} body
+ * @param {object|function} [options]
  * @param {function} [callback]
+ * @throws {InvalidArgumentError}
  * @returns {Promise}
  */
 
-Mongoolastic.prototype.removeDoc = function(doc, callback) {
+Mongoolastic.prototype.search = function(model, body, options, callback) {
 
-  return Bluebird.resolve(doc)
-    .then((doc) => {
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
 
-      // This method is called for ALL documents that share the
-      // model's SCHEMA. Thus we need to check first and filter
-      // all documents that share the same schema, but belong to
-      // other, non registered models.
-      const type = doc.constructor.modelName;
-      const isRegistered = this.registeredModels.has(type);
+  // Validation
+  if (!(model.schema instanceof mongoose.Schema)) {
+    throw new errors.InvalidArgumentError('invalid-model');
+  }
 
-      if (!isRegistered) {
-        return;
+  if (!_.isPlainObject(body)) {
+    throw new errors.InvalidArgumentError('invalid-search-body');
+  }
+
+  if (options && !_.isPlainObject(options)) {
+    throw new errors.InvalidArgumentError('invalid-options');
+  }
+
+  return Bluebird.resolve(body)
+    .then((body) => {
+      const index = this.getIndex(model.modelName);
+      return this.es.search({index, type: model.modelName, body});
+    })
+    .then((res) => {
+
+      if (options && options.hydrate) {
+        return this.hydrate(model, res, options);
       }
 
-      const id = doc.id;
-      return this.es.deleteDoc(id, type, this.index);
+      return res;
     })
     .nodeify(callback);
 };
 
 /**
- * Gets the merged mappings for all registered models
+ * Returns an async iterator over all hits of a search query.
+ * Hits are loaded page by page with the scroll API, the page
+ * size can be set with the size of the search body (default 100).
+ * The scroll context is cleared when all hits have been read
+ * or when the consumer stops early.
+ *
+ * Options:
+ * scroll: time to keep the scroll context alive (default 1m)
  *
+ * @param {mongoose.Model} model
+ * @param {object} body
+ * @param {object} [options]
  * @throws {InvalidArgumentError}
- * @returns {object}
+ * @returns {ScrollIterator}
  */
 
-Mongoolastic.prototype.getMappings = function() {
+Mongoolastic.prototype.searchIterator = function(model, body, options) {
 
-  let mappings = {};
+  // Validation
+  if (!(model.schema instanceof mongoose.Schema)) {
+    throw new errors.InvalidArgumentError('invalid-model');
+  }
 
-  this.registeredModels.forEach((value, key) => {
+  if (!_.isPlainObject(body)) {
+    throw new errors.InvalidArgumentError('invalid-search-body');
+  }
 
-    if (value.mapping) {
-      mappings = _.merge(mappings, {
-        [key]: {properties: value.mapping}
-      });
-    }
-  });
+  if (options && !_.isPlainObject(options)) {
+    throw new errors.InvalidArgumentError('invalid-options');
+  }
 
-  return mappings;
+  const query = {
+    index: this.getIndex(model.modelName),
+    type: model.modelName,
+    body: _.assign({size: 100}, body)
+  };
+
+  return scrollIterator.create(this.es, query, options && options.scroll ? options.scroll : '1m');
 };
 
 /**
- * Syncs all documents of registered model
+ * Returns a readable object stream of all hits of
+ * a search query (see searchIterator). Destroying
+ * the stream clears the scroll context.
  *
  * @param {mongoose.Model} model
- * @param {function} [callback]
+ * @param {object} body
+ * @param {object} [options]
  * @throws {InvalidArgumentError}
+ * @returns {stream.Readable}
+ */
+
+Mongoolastic.prototype.searchStream = function(model, body, options) {
+  return scrollIterator.createStream(this.searchIterator(model, body, options));
+};
+
+/**
+ * Loads the hits of a search response as mongoose documents
+ * in the order of the search response. The score and highlight
+ * of each hit are attached to the documents as _score and highlight.
+ * Hits that do not exist in MongoDB (anymore) are reported
+ * as list of ids in missing.
+ * The query can be adjusted with the select and populate options.
+ * Returns a promise or calls callback (if provided)
+ *
+ * @param {mongoose.Model} model
+ * @param {object} res
+ * @param {object|function} [options]
+ * @param {function} [callback]
  * @returns {Promise}
  */
 
-Mongoolastic.prototype.sync = function(model, callback) {
+Mongoolastic.prototype.hydrate = function(model, res, options, callback) {
+
+  // Check if options are provided
+  // or if the options argument is actually the callback
+  if (callback === undefined && _.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  return Bluebird.resolve(res)
+    .then((res) => {
 
-  return new Bluebird((resolve, reject) => {
+      const hits = res.hits.hits;
+      const ids = hits.map((hit) => hit._id);
+      const query = model.find({_id: {$in: ids}});
 
-    // Validation
-    if (!(model.schema instanceof mongoose.Schema)) {
-      return reject(new errors.InvalidArgumentError('invalid-model'));
-    }
+      if (options && options.select) {
+        query.select(options.select);
+      }
 
-    const query = {};
-    const stream = model.find(query).stream();
+      if (options && options.populate) {
+        query.populate(options.populate);
+      }
 
-    stream.on('data', (doc) => {
+      return Bluebird.resolve(query.exec())
+        .then((docs) => {
 
-      stream.pause();
+          const docsById = new Map();
+          docs.forEach((doc) => docsById.set(doc.id, doc));
 
-      this.indexDoc(doc, true)
-        .then(() => stream.resume())
-        .catch(reject);
-    });
+          const result = {
+            total: res.hits.total,
+            maxScore: res.hits.max_score,
+            docs: [],
+            missing: []
+          };
 
-    stream.on('error', (err) => {
-      return reject(err);
-    });
+          hits.forEach((hit) => {
 
-    stream.on('close', () => {
-      return resolve();
-    });
-  })
-  .nodeify(callback);
+            const doc = docsById.get(hit._id);
+
+            if (!doc) {
+              return result.missing.push(hit._id);
+            }
+
+            doc._score = hit._score;
+
+            if (hit.highlight) {
+              doc.highlight = hit.highlight;
+            }
+
+            result.docs.push(doc);
+          });
+
+          return result;
+        });
+    })
+    .nodeify(callback);
 };
 
 /**
- * Searches the Elasticsearch index based on a supplied query
+ * Counts the documents of a model in the Elasticsearch index
+ * that match an optional query body
  * Returns a promise or calls callback (if provided)
  *
  * @param {mongoose.Model} model
- * @param {object} body
+ * @param {object|function} [body]
  * @param {function} [callback]
  * @throws {InvalidArgumentError}
  * @returns {Promise}
  */
 
-Mongoolastic.prototype.search = function(model, body, callback) {
+Mongoolastic.prototype.count = function(model, body, callback) {
+
+  // Check if a body is provided
+  // or if the body argument is actually the callback
+  if (callback === undefined && _.isFunction(body)) {
+    callback = body;
+    body = undefined;
+  }
 
   // Validation
   if (!(model.schema instanceof mongoose.Schema)) {
     throw new errors.InvalidArgumentError('invalid-model');
   }
 
-  if (!_.isPlainObject(body)) {
+  if (body && !_.isPlainObject(body)) {
     throw new errors.InvalidArgumentError('invalid-search-body');
   }
 
   return Bluebird.resolve(body)
     .then((body) => {
-      return this.es.search({index: this.index, type: model.modelName, body: body});
+      const index = this.getIndex(model.modelName);
+      return this.es.count({index, type: model.modelName, body});
     })
+    .then((res) => res.count)
     .nodeify(callback);
 };
 
+/**
+ * Factory function that returns a new, fully isolated
+ * Mongoolastic instance with its own connection, index,
+ * bulk settings and registered models.
+ *
+ * @param {Object} [options]
+ * @throws {InvalidArgumentError}
+ * @returns {Mongoolastic}
+ */
+
+Mongoolastic.prototype.create = function(options) {
+  return new Mongoolastic(options);
+};
+
 module.exports = new Mongoolastic();
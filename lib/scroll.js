@@ -0,0 +1,173 @@
+'use strict';
+
+const stream = require('stream');
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+
+/**
+ * Async iterator over all hits of a search query.
+ * Pages are loaded with the scroll API. The scroll context is
+ * cleared once all hits have been read, if loading a page fails
+ * or if the consumer stops early (e.g. break in for await).
+ *
+ * @param {ElasticsearchProvider} es
+ * @param {Object} query
+ * @param {string} keepAlive
+ * @constructor
+ */
+
+function ScrollIterator(es, query, keepAlive) {
+  this.es = es;
+  this.query = query;
+  this.keepAlive = keepAlive;
+  this.scrollId = null;
+  this.hits = [];
+  this.isStarted = false;
+  this.isDone = false;
+}
+
+ScrollIterator.prototype[Symbol.asyncIterator] = function() {
+  return this;
+};
+
+/**
+ * Gets the next hit and loads the next page if needed
+ *
+ * @returns {Promise}
+ */
+
+ScrollIterator.prototype.next = function() {
+
+  if (this.hits.length) {
+    return Bluebird.resolve({value: this.hits.shift(), done: false});
+  }
+
+  if (this.isDone) {
+    return Bluebird.resolve({value: undefined, done: true});
+  }
+
+  return this.loadPage()
+    .then((hits) => {
+
+      if (!hits.length) {
+        return this.return();
+      }
+
+      this.hits = hits;
+      return this.next();
+    })
+    .catch((err) => {
+
+      this.isDone = true;
+
+      return this.clear()
+        .then(() => {
+          throw err;
+        });
+    });
+};
+
+/**
+ * Stops the iteration and clears the scroll context
+ *
+ * @returns {Promise}
+ */
+
+ScrollIterator.prototype.return = function() {
+
+  this.isDone = true;
+  this.hits = [];
+
+  return this.clear()
+    .then(() => {
+      return {value: undefined, done: true};
+    });
+};
+
+/**
+ * Loads the first page with a search request
+ * and all following pages with scroll requests
+ *
+ * @returns {Promise}
+ */
+
+ScrollIterator.prototype.loadPage = function() {
+
+  const page = this.isStarted ?
+    this.es.scroll(this.scrollId, this.keepAlive) :
+    this.es.search(_.assign({scroll: this.keepAlive}, this.query));
+
+  this.isStarted = true;
+
+  return Bluebird.resolve(page)
+    .then((res) => {
+      this.scrollId = res._scroll_id;
+      return res.hits.hits.slice();
+    });
+};
+
+/**
+ * Clears the scroll context (if any). Errors are ignored,
+ * as the context expires anyway after the keep alive time.
+ *
+ * @returns {Promise}
+ */
+
+ScrollIterator.prototype.clear = function() {
+
+  const scrollId = this.scrollId;
+  this.scrollId = null;
+
+  if (!scrollId) {
+    return Bluebird.resolve();
+  }
+
+  return Bluebird.resolve(this.es.clearScroll(scrollId))
+    .catch(() => null);
+};
+
+/**
+ * Creates a readable object stream of the hits of an iterator.
+ * Destroying the stream stops the iterator.
+ *
+ * @param {ScrollIterator} iterator
+ * @returns {stream.Readable}
+ */
+
+function createStream(iterator) {
+
+  return new stream.Readable({
+    objectMode: true,
+    read() {
+
+      iterator.next()
+        .then((res) => {
+          this.push(res.done ? null : res.value);
+        })
+        .catch((err) => {
+          this.destroy(err);
+        });
+    },
+    destroy(err, callback) {
+
+      iterator.return()
+        .then(() => callback(err));
+    }
+  });
+}
+
+/**
+ * Factory function that returns new ScrollIterator
+ *
+ * @param {ElasticsearchProvider} es
+ * @param {Object} query
+ * @param {string} keepAlive
+ * @returns {ScrollIterator}
+ */
+
+function create(es, query, keepAlive) {
+  return new ScrollIterator(es, query, keepAlive);
+}
+
+module.exports.create = create;
+module.exports.createStream = createStream;
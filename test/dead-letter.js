@@ -0,0 +1,83 @@
+'use strict';
+
+const _ = require('lodash');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const mongoose = require('mongoose');
+const deadLetter = require('../lib/dead-letter');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Test data
+ *
+ */
+
+const connectionString = 'mongodb://localhost:27017/mongoolastic-test';
+const collectionName = 'mongoolastic_test_dead_letters';
+
+const action = {index: {_index: 'animals', _type: 'Cat', _id: '1'}};
+
+function createEntry(id, createdAt) {
+  return {action: {index: _.assign({}, action.index, {_id: id})}, doc: {name: id}, createdAt};
+}
+
+/**
+ * Store
+ *
+ */
+
+describe('Dead letter - Store', function() {
+
+  this.timeout(10000);
+
+  const connection = mongoose.createConnection(connectionString);
+  const store = deadLetter.create(connection, collectionName);
+
+  beforeEach(() => store.collection.deleteMany({}));
+
+  after(() => {
+
+    return store.collection.drop()
+      .then(() => connection.close());
+  });
+
+  it('should validate stores', () => {
+
+    expect(deadLetter.isValidStore(store)).to.equal(true);
+    expect(deadLetter.isValidStore({add: () => null})).to.equal(true);
+    return expect(deadLetter.isValidStore({})).to.equal(false);
+  });
+
+  it('should add and list failed operations, oldest first', () => {
+
+    const entries = [
+      createEntry('2', new Date(2000)),
+      createEntry('1', new Date(1000)),
+      createEntry('3', new Date(3000))
+    ];
+
+    return store.add(entries)
+      .then(() => store.list())
+      .then((res) => {
+
+        expect(_.pluck(res, 'doc')).to.deep.equal([{name: '1'}, {name: '2'}, {name: '3'}]);
+        return store.list(2);
+      })
+      .then((res) => {
+        return expect(_.pluck(res, 'doc')).to.deep.equal([{name: '1'}, {name: '2'}]);
+      });
+  });
+
+  it('should remove failed operations by id', () => {
+
+    return store.add([createEntry('1', new Date(1000)), createEntry('2', new Date(2000))])
+      .then(() => store.list(1))
+      .then((res) => store.remove(_.pluck(res, '_id')))
+      .then(() => store.list())
+      .then((res) => {
+        return expect(_.pluck(res, 'doc')).to.deep.equal([{name: '2'}]);
+      });
+  });
+});
@@ -639,6 +639,29 @@ describe('Elasticsearch - Index document', () => {
       });
   });
 
+  it('should partially update an existing document', () => {
+
+    return expect(client.updateDoc(id, {hobby: 'Miau'}, type, testIndex, false))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        // Get the document and compare to source
+        return expect(client.getDoc(id, type, testIndex))
+          .to.eventually.be.fulfilled
+          .then((res) => {
+
+            expect(res._id).to.deep.equal(id);
+            expect(res._source).to.deep.equal({name: 'Bob', hobby: 'Miau'});
+          });
+      });
+  });
+
+  it('should throw DocumentNotFoundError if updated document does not exist', () => {
+
+    return expect(client.updateDoc(notExistingId, {hobby: 'Miau'}, type, testIndex, false))
+      .to.be.rejectedWith(errors.DocumentNotFoundError);
+  });
+
   after((done) => {
 
     client.ensureDeleteIndex(testIndex)
@@ -910,6 +933,56 @@ describe('Elasticsearch - Bulk index', function() {
       });
   });
 
+  it('should remove documents with bulk delete actions', () => {
+
+    const id = 'abcdefg-delete';
+
+    return expect(client.indexDoc(id, {name: 'Bob'}, type, testIndex, false))
+      .to.eventually.be.fulfilled
+      .then(() => client.deleteDoc(id, type, testIndex, true))
+      .delay(testDelay)
+      .then(() => {
+
+        return expect(client.docExists(id, type, testIndex))
+          .to.eventually.equal(false);
+      });
+  });
+
+  it('should emit flushed events with operations and response', (done) => {
+
+    const id = 'abcdefg-flushed';
+
+    client.once('flushed', (res) => {
+
+      expect(res.error).to.equal(null);
+      expect(res.operations).to.have.length(1);
+      expect(res.operations[0].action).to.deep.equal({
+        index: {_index: testIndex, _type: type, _id: id}
+      });
+      expect(res.response.items).to.have.length(1);
+      done();
+    });
+
+    client.indexDoc(id, {name: 'Bob'}, type, testIndex, true)
+      .then(() => client.flushBulkBuffer())
+      .catch(done);
+  });
+
+  it('should flush the bulk buffer', () => {
+
+    const id = 'abcdefg-flush';
+
+    return expect(client.indexDoc(id, {name: 'Bob'}, type, testIndex, true))
+      .to.eventually.be.fulfilled
+      .then(() => client.flush())
+      .then(() => {
+
+        expect(client.bulkBuffer).to.have.length(0);
+        return expect(client.docExists(id, type, testIndex))
+          .to.eventually.equal(true);
+      });
+  });
+
   after((done) => {
 
     client.ensureDeleteIndex(testIndex)
@@ -918,6 +991,346 @@ describe('Elasticsearch - Bulk index', function() {
   });
 });
 
+/**
+ * Aliases
+ *
+ */
+
+describe('Elasticsearch - Aliases', () => {
+
+  const alias = 'mongoolastic-test-alias';
+  const testIndex = 'mongoolastic-test-alias_v1';
+  const writeIndex = 'mongoolastic-test-alias_v2';
+  const type = 'Cat';
+
+  before((done) => {
+
+    client.ensureDeleteIndex([testIndex, writeIndex])
+      .then(() => client.ensureIndex(testIndex, {}, {}))
+      .then(() => client.ensureIndex(writeIndex, {}, {}))
+      .then(() => done())
+      .catch(done);
+  });
+
+  it('should return an empty list if the alias does not exist', () => {
+
+    return expect(client.getAliasIndices(alias))
+      .to.eventually.deep.equal([]);
+  });
+
+  it('should throw an InvalidArgumentError if alias actions are invalid', () => {
+
+    return expect(client.updateAliases([]))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should add an alias and return its indices', () => {
+
+    return expect(client.updateAliases([{add: {index: testIndex, alias}}]))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(client.getAliasIndices(alias))
+          .to.eventually.deep.equal([testIndex]);
+      });
+  });
+
+  it('should write documents to the write index as well', () => {
+
+    const id = 'abcdefg-write-index';
+    client.addWriteIndex(alias, writeIndex);
+
+    return expect(client.indexDoc(id, {name: 'Bob'}, type, alias, false))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return Bluebird.all([
+          expect(client.docExists(id, type, testIndex)).to.eventually.equal(true),
+          expect(client.docExists(id, type, writeIndex)).to.eventually.equal(true)
+        ]);
+      })
+      .then(() => {
+
+        // Documents missing in the write index are ignored
+        return client.deleteDoc(id, type, writeIndex);
+      })
+      .then(() => {
+        return expect(client.deleteDoc(id, type, alias)).to.eventually.be.fulfilled;
+      })
+      .finally(() => client.removeWriteIndex(alias));
+  });
+
+  it('should swap an alias atomically', () => {
+
+    const actions = [
+      {remove: {index: testIndex, alias}},
+      {add: {index: writeIndex, alias}}
+    ];
+
+    return expect(client.updateAliases(actions))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(client.getAliasIndices(alias))
+          .to.eventually.deep.equal([writeIndex]);
+      });
+  });
+
+  after((done) => {
+
+    client.ensureDeleteIndex([testIndex, writeIndex])
+      .then(() => done())
+      .catch(done);
+  });
+});
+
+/**
+ * Bulk results
+ *
+ */
+
+describe('Elasticsearch - Bulk results', () => {
+
+  const action = {index: {_index: 'animals', _type: 'Cat', _id: '1'}};
+  const createAction = {create: {_index: 'animals', _type: 'Cat', _id: '2'}};
+  const deleteAction = {delete: {_index: 'animals', _type: 'Cat', _id: '3'}};
+
+  function createProvider(responses, deadLetters) {
+
+    const deadLetter = {
+      add: (entries) => {
+        deadLetters.push.apply(deadLetters, entries);
+        return Bluebird.resolve();
+      },
+      list: () => Bluebird.resolve(deadLetters.map((entry, i) => _.assign({_id: i}, entry))),
+      remove: (ids) => {
+        deadLetters.splice(0, ids.length);
+        return Bluebird.resolve();
+      }
+    };
+
+    const provider = elasticsearch.create({
+      bulkTimeout: 10,
+      bulkRetries: 1,
+      bulkRetryDelay: 10,
+      deadLetter
+    });
+
+    provider.client = {
+      bulk: (params, callback) => {
+        const res = responses.shift();
+        setTimeout(() => callback(res.error || null, res), 0);
+      }
+    };
+
+    return provider;
+  }
+
+  it('should throw InvalidArgumentError if retry options are invalid', () => {
+
+    expect(() => elasticsearch.create({bulkRetries: 'abc'}))
+      .to.throw(errors.InvalidArgumentError);
+
+    return expect(() => elasticsearch.create({deadLetter: {}}))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should retry operations with retryable failures', () => {
+
+    const deadLetters = [];
+    const flushes = [];
+    const provider = createProvider([
+      {items: [{index: {status: 429, error: {type: 'es_rejected_execution_exception'}}}]},
+      {items: [{index: {status: 201}}]}
+    ], deadLetters);
+
+    provider.on('flushed', (res) => flushes.push(res));
+
+    return provider.addToBulkBuffer(action, {name: 'Bob'})
+      .then(() => provider.flush())
+      .then(() => {
+
+        expect(flushes).to.have.length(2);
+        expect(flushes[0].retried).to.have.length(1);
+        expect(flushes[1].written).to.have.length(1);
+        return expect(deadLetters).to.have.length(0);
+      });
+  });
+
+  it('should add permanent failures to the dead letter store', () => {
+
+    const deadLetters = [];
+    const provider = createProvider([{
+      errors: true,
+      items: [
+        {index: {status: 400, error: {type: 'mapper_parsing_exception', reason: 'moo'}}},
+        {create: {status: 409, error: {type: 'version_conflict_engine_exception'}}},
+        {delete: {status: 404}}
+      ]
+    }], deadLetters);
+
+    return Bluebird.all([
+      provider.addToBulkBuffer(action, {name: 'Bob'}),
+      provider.addToBulkBuffer(createAction, {name: 'Bob'}),
+      provider.addToBulkBuffer(deleteAction)
+    ])
+      .then(() => provider.flush())
+      .delay(10)
+      .then(() => {
+
+        expect(deadLetters).to.have.length(1);
+        expect(deadLetters[0]).to.have.property('status', 400);
+        expect(deadLetters[0]).to.have.property('error', 'moo');
+        return expect(deadLetters[0].action).to.deep.equal(action);
+      });
+  });
+
+  it('should skip version conflicts of externally versioned operations', () => {
+
+    const deadLetters = [];
+    const flushes = [];
+    const provider = createProvider([{
+      errors: true,
+      items: [{index: {status: 409, error: {type: 'version_conflict_engine_exception'}}}]
+    }], deadLetters);
+
+    provider.on('flushed', (res) => flushes.push(res));
+
+    return provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', true, {version: 5})
+      .then(() => {
+
+        expect(provider.bulkBuffer[0].action).to.deep.equal({
+          index: {_index: 'animals', _type: 'Cat', _id: '1', version: 5, version_type: 'external'}
+        });
+
+        return provider.flush();
+      })
+      .then(() => {
+
+        expect(flushes[0].written).to.have.length(0);
+        expect(flushes[0].skipped).to.have.length(1);
+        return expect(deadLetters).to.have.length(0);
+      });
+  });
+
+  it('should ignore version conflicts of externally versioned documents', () => {
+
+    const provider = createProvider([], []);
+    const conflict = new Error('version_conflict_engine_exception');
+    const requests = [];
+
+    conflict.status = 409;
+    provider.client.index = (params) => {
+      requests.push(params);
+      return Bluebird.reject(conflict);
+    };
+
+    return expect(provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', false, {version: 5}))
+      .to.eventually.equal(null)
+      .then(() => {
+
+        expect(requests[0]).to.have.property('version', 5);
+        expect(requests[0]).to.have.property('versionType', 'external');
+
+        return expect(provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', false))
+          .to.be.rejectedWith(conflict);
+      });
+  });
+
+  it('should delete externally versioned documents with their version', () => {
+
+    const provider = createProvider([{items: [{delete: {status: 200}}]}], []);
+    const conflict = new Error('version_conflict_engine_exception');
+    const requests = [];
+
+    conflict.status = 409;
+    provider.client.delete = (params) => {
+      requests.push(params);
+      return Bluebird.reject(conflict);
+    };
+
+    return expect(provider.deleteDoc('1', 'Cat', 'animals', false, {version: 5}))
+      .to.eventually.equal(null)
+      .then(() => provider.deleteDoc('2', 'Cat', 'animals', true, {version: 6}))
+      .then(() => {
+
+        expect(requests[0]).to.have.property('version', 5);
+        expect(requests[0]).to.have.property('versionType', 'external_gte');
+        expect(provider.bulkBuffer[0].action.delete).to.deep.equal({
+          _index: 'animals',
+          _type: 'Cat',
+          _id: '2',
+          version: 6,
+          version_type: 'external_gte'
+        });
+
+        return provider.flush();
+      });
+  });
+
+  it('should refresh bulk requests with the strongest refresh policy', () => {
+
+    const requests = [];
+    const provider = elasticsearch.create({bulkTimeout: 10, refresh: false});
+
+    provider.client = {
+      bulk: (params, callback) => {
+        requests.push(params);
+        setTimeout(() => callback(null, {items: []}), 0);
+      }
+    };
+
+    return provider.addToBulkBuffer(action, {name: 'Bob'})
+      .then(() => provider.flush())
+      .then(() => provider.addToBulkBuffer(action, {name: 'Bob'}, {refresh: 'wait_for'}))
+      .then(() => provider.addToBulkBuffer(action, {name: 'Bob'}))
+      .then(() => provider.flush())
+      .then(() => {
+        return expect(_.pluck(requests, 'refresh')).to.deep.equal([false, 'wait_for']);
+      });
+  });
+
+  it('should replay operations of the dead letter store', () => {
+
+    const deadLetters = [{action, doc: {name: 'Bob'}}];
+    const provider = createProvider([{items: [{index: {status: 201}}]}], deadLetters);
+
+    return expect(provider.replayDeadLetters())
+      .to.eventually.equal(1)
+      .then(() => {
+
+        expect(deadLetters).to.have.length(0);
+        return expect(provider.bulkBuffer).to.have.length(1);
+      });
+  });
+
+  it('should stop timers and close the client on close', () => {
+
+    const deadLetters = [];
+    const provider = createProvider([
+      {items: [{index: {status: 429, error: {type: 'es_rejected_execution_exception'}}}]}
+    ], deadLetters);
+
+    let isClosed = false;
+    provider.client.close = () => {
+      isClosed = true;
+    };
+
+    return provider.addToBulkBuffer(action, {name: 'Bob'})
+      .then(() => new Bluebird((resolve) => provider.once('flushed', resolve)))
+      .then(() => {
+
+        expect(provider.retryTimers.size).to.equal(1);
+        provider.close();
+
+        expect(isClosed).to.equal(true);
+        expect(provider.client).to.equal(null);
+        expect(provider.bulkTimer).to.equal(null);
+        return expect(provider.retryTimers.size).to.equal(0);
+      });
+  });
+});
+
 /*
 describe('Elasticsearch - Bulk errors', () => {
 
@@ -969,3 +1382,306 @@ describe('Elasticsearch - Bulk errors', () => {
   });
 });
 */
+
+/**
+ * Refresh
+ *
+ */
+
+describe('Elasticsearch - Refresh', () => {
+
+  function createProvider(requests, options) {
+
+    const provider = elasticsearch.create(options);
+
+    provider.client = {
+      index: (params) => {
+        requests.push(params);
+        return Bluebird.resolve({});
+      },
+      delete: (params) => {
+        requests.push(params);
+        return Bluebird.resolve({});
+      },
+      indices: {
+        refresh: (params) => {
+          requests.push(params);
+          return Bluebird.resolve({});
+        }
+      }
+    };
+
+    return provider;
+  }
+
+  it('should throw InvalidArgumentError if the refresh policy is invalid', () => {
+
+    expect(() => elasticsearch.create({refresh: 'now'}))
+      .to.throw(errors.InvalidArgumentError);
+
+    return expect(createProvider([]).indexDoc('1', {}, 'Cat', 'animals', false, {refresh: 1}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should index with the default or the supplied refresh policy', () => {
+
+    const requests = [];
+    const provider = createProvider(requests, {refresh: 'wait_for'});
+
+    return provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', false)
+      .then(() => provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', false, {refresh: false}))
+      .then(() => {
+        return expect(_.pluck(requests, 'refresh')).to.deep.equal(['wait_for', false]);
+      });
+  });
+
+  it('should delete with the default or the supplied refresh policy', () => {
+
+    const requests = [];
+    const provider = createProvider(requests, {refresh: 'wait_for'});
+
+    return provider.deleteDoc('1', 'Cat', 'animals', false)
+      .then(() => provider.deleteDoc('1', 'Cat', 'animals', false, {refresh: false}))
+      .then(() => {
+
+        expect(_.pluck(requests, 'refresh')).to.deep.equal(['wait_for', false]);
+
+        return expect(provider.deleteDoc('1', 'Cat', 'animals', false, {refresh: 1}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should refresh an index', () => {
+
+    const requests = [];
+    const provider = createProvider(requests);
+
+    return expect(provider.refresh('animals'))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        expect(requests).to.deep.equal([{index: 'animals'}]);
+
+        return expect(provider.refresh('Animals'))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+});
+
+/**
+ * Routing
+ *
+ */
+
+describe('Elasticsearch - Routing', () => {
+
+  function createProvider(requests) {
+
+    const provider = elasticsearch.create({bulkTimeout: 10});
+    const request = (params) => {
+      requests.push(params);
+      return Bluebird.resolve({});
+    };
+
+    provider.client = {
+      index: request,
+      update: request,
+      delete: request,
+      get: request,
+      exists: request,
+      bulk: (params, callback) => {
+        requests.push(params);
+        setTimeout(() => callback(null, {items: []}), 0);
+      }
+    };
+
+    return provider;
+  }
+
+  it('should pass the routing to all document operations', () => {
+
+    const requests = [];
+    const provider = createProvider(requests);
+    const options = {routing: 'tenant-1'};
+
+    return provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', false, options)
+      .then(() => provider.updateDoc('1', {name: 'Bob'}, 'Cat', 'animals', false, options))
+      .then(() => provider.getDoc('1', 'Cat', 'animals', options))
+      .then(() => provider.docExists('1', 'Cat', 'animals', options))
+      .then(() => provider.deleteDoc('1', 'Cat', 'animals', false, options))
+      .then(() => provider.getDoc('1', 'Cat', 'animals'))
+      .then(() => {
+
+        return expect(_.pluck(requests, 'routing'))
+          .to.deep.equal(['tenant-1', 'tenant-1', 'tenant-1', 'tenant-1', 'tenant-1', undefined]);
+      });
+  });
+
+  it('should add the routing to bulk actions', () => {
+
+    const requests = [];
+    const provider = createProvider(requests);
+
+    return provider.indexDoc('1', {name: 'Bob'}, 'Cat', 'animals', true, {routing: 'tenant-1'})
+      .then(() => provider.deleteDoc('2', 'Cat', 'animals', true, {routing: 'tenant-2'}))
+      .then(() => provider.deleteDoc('3', 'Cat', 'animals', true))
+      .then(() => provider.flush())
+      .then(() => {
+
+        return expect(requests[0].body).to.deep.equal([
+          {index: {_index: 'animals', _type: 'Cat', _id: '1', routing: 'tenant-1'}},
+          {name: 'Bob'},
+          {delete: {_index: 'animals', _type: 'Cat', _id: '2', routing: 'tenant-2'}},
+          {delete: {_index: 'animals', _type: 'Cat', _id: '3'}}
+        ]);
+      });
+  });
+
+  it('should pass the parent of children to index requests and bulk actions', () => {
+
+    const requests = [];
+    const provider = createProvider(requests);
+    const options = {routing: '1', parent: '1'};
+
+    return provider.indexDoc('2', {text: 'Hi'}, 'Comment', 'blog', false, options)
+      .then(() => provider.indexDoc('3', {text: 'Hi'}, 'Comment', 'blog', true, options))
+      .then(() => provider.flush())
+      .then(() => {
+
+        expect(_.pick(requests[0], 'routing', 'parent')).to.deep.equal(options);
+
+        return expect(requests[1].body[0]).to.deep.equal({
+          index: {_index: 'blog', _type: 'Comment', _id: '3', routing: '1', parent: '1'}
+        });
+      });
+  });
+});
+
+/**
+ * Multi get
+ *
+ */
+
+describe('Elasticsearch - Get documents', () => {
+
+  it('should get several documents with one request', () => {
+
+    const requests = [];
+    const provider = elasticsearch.create();
+
+    provider.client = {
+      mget: (params) => {
+        requests.push(params);
+        return Bluebird.resolve({docs: [{_id: '1', found: true}, {_id: '2', found: false}]});
+      }
+    };
+
+    const docs = [{id: '1', routing: 'tenant-1'}, {id: '2'}];
+
+    return expect(provider.getDocs(docs, 'Cat', 'animals', {source: ['updatedAt']}))
+      .to.eventually.deep.equal([{_id: '1', found: true}, {_id: '2', found: false}])
+      .then(() => {
+
+        return expect(requests).to.deep.equal([{
+          index: 'animals',
+          type: 'Cat',
+          body: {docs: [{_id: '1', routing: 'tenant-1'}, {_id: '2'}]},
+          _source: ['updatedAt']
+        }]);
+      })
+      .then(() => {
+
+        return expect(provider.getDocs([{id: 1}], 'Cat', 'animals'))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should not find documents of missing indices', () => {
+
+    const provider = elasticsearch.create();
+    const notFound = _.assign(new Error('Not Found'), {status: 404});
+
+    provider.client = {mget: () => Bluebird.reject(notFound)};
+
+    return expect(provider.getDocs([{id: '1'}], 'Cat', 'animals'))
+      .to.eventually.deep.equal([{_id: '1', found: false}]);
+  });
+});
+
+/**
+ * Write indices
+ *
+ */
+
+describe('Elasticsearch - Write indices', () => {
+
+  it('should delete documents deleted during a rebuild from the write index again', () => {
+
+    const requests = [];
+    const provider = elasticsearch.create();
+    const notFound = _.assign(new Error('Not Found'), {status: 404});
+
+    provider.client = {
+      index: (params) => {
+        requests.push(_.assign({method: 'index'}, _.pick(params, 'index', 'id')));
+        return Bluebird.resolve({});
+      },
+      delete: (params) => {
+        requests.push(_.assign({method: 'delete'}, _.pick(params, 'index', 'id', 'routing')));
+        return params.index === 'animals_v2' ? Bluebird.reject(notFound) : Bluebird.resolve({});
+      }
+    };
+
+    provider.addWriteIndex('animals', 'animals_v2');
+
+    return provider.deleteDoc('1', 'Cat', 'animals', false, {routing: 'tenant-1'})
+      .then(() => provider.deleteDoc('2', 'Cat', 'animals', false))
+      .then(() => provider.indexDoc('2', {name: 'Bob'}, 'Cat', 'animals', false))
+      .then(() => {
+
+        requests.length = 0;
+        return provider.removeDeletedDocs('animals');
+      })
+      .then(() => {
+
+        expect(requests).to.deep.equal([
+          {method: 'delete', index: 'animals_v2', id: '1', routing: 'tenant-1'}
+        ]);
+
+        provider.removeWriteIndex('animals');
+        return provider.removeDeletedDocs('animals');
+      })
+      .then(() => {
+        return expect(requests).to.have.length(1);
+      });
+  });
+
+  it('should upsert the full document into the write index on partial updates', () => {
+
+    const requests = [];
+    const provider = elasticsearch.create();
+    const options = {upsert: {name: 'Bob', age: 3}};
+
+    provider.client = {
+      update: (params) => {
+        requests.push(_.pick(params, 'index', 'body'));
+        return Bluebird.resolve({});
+      }
+    };
+
+    return provider.updateDoc('1', {age: 3}, 'Cat', 'animals', false, options)
+      .then(() => {
+
+        provider.addWriteIndex('animals', 'animals_v2');
+        return provider.updateDoc('1', {age: 3}, 'Cat', 'animals', false, options);
+      })
+      .then(() => {
+
+        return expect(requests).to.deep.equal([
+          {index: 'animals', body: {doc: {age: 3}}},
+          {index: 'animals_v2', body: {doc: {age: 3}, upsert: {name: 'Bob', age: 3}}},
+          {index: 'animals', body: {doc: {age: 3}}}
+        ]);
+      });
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const chai = require('chai');
+const mongoose = require('mongoose');
+const fields = require('../lib/fields');
+
+const expect = chai.expect;
+
+/**
+ * Test data
+ *
+ */
+
+const TokenSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    es_indexed: false
+  },
+  issuer: {
+    type: String
+  }
+}, {_id: false});
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String
+  },
+  passwordHash: {
+    type: String,
+    es_indexed: false
+  },
+  profile: {
+    bio: {
+      type: String
+    },
+    avatar: {
+      type: Buffer
+    }
+  },
+  tokens: [TokenSchema]
+});
+
+const user = {
+  name: 'Bob',
+  passwordHash: 'abc',
+  profile: {
+    bio: 'Moo',
+    avatar: 'xyz'
+  },
+  tokens: [
+    {value: '123', issuer: 'farm'},
+    {value: '456', issuer: 'barn'}
+  ]
+};
+
+/**
+ * Get fields
+ *
+ */
+
+describe('Fields - Get fields', () => {
+
+  it('should collect fields from schema options', () => {
+
+    return expect(fields.getFields(UserSchema)).to.deep.equal({
+      include: [],
+      exclude: ['passwordHash', 'tokens.value']
+    });
+  });
+
+  it('should merge include and exclude options', () => {
+
+    const options = {include: ['name'], exclude: ['profile.avatar']};
+
+    return expect(fields.getFields(UserSchema, options)).to.deep.equal({
+      include: ['name'],
+      exclude: ['passwordHash', 'tokens.value', 'profile.avatar']
+    });
+  });
+
+  it('should check if a list of fields is valid', () => {
+
+    expect(fields.isValidFieldList(['a', 'b.c'])).to.equal(true);
+    expect(fields.isValidFieldList('a')).to.equal(false);
+    expect(fields.isValidFieldList([123])).to.equal(false);
+  });
+});
+
+/**
+ * Select document fields
+ *
+ */
+
+describe('Fields - Select document', () => {
+
+  it('should return the document if no fields are selected', () => {
+
+    const selection = {include: [], exclude: []};
+    return expect(fields.selectDoc(user, selection)).to.equal(user);
+  });
+
+  it('should remove excluded fields including nested and array fields', () => {
+
+    const selection = fields.getFields(UserSchema, {exclude: ['profile.avatar']});
+
+    return expect(fields.selectDoc(user, selection)).to.deep.equal({
+      name: 'Bob',
+      profile: {bio: 'Moo'},
+      tokens: [{issuer: 'farm'}, {issuer: 'barn'}]
+    });
+  });
+
+  it('should only keep included fields', () => {
+
+    const selection = fields.getFields(UserSchema, {include: ['name', 'profile.bio', 'tokens']});
+
+    return expect(fields.selectDoc(user, selection)).to.deep.equal({
+      name: 'Bob',
+      profile: {bio: 'Moo'},
+      tokens: [{issuer: 'farm'}, {issuer: 'barn'}]
+    });
+  });
+});
+
+/**
+ * Selected paths
+ *
+ */
+
+describe('Fields - Selected paths', () => {
+
+  it('should check if top level paths are selected', () => {
+
+    const excluded = fields.getFields(UserSchema, {exclude: ['profile.avatar']});
+    const included = fields.getFields(UserSchema, {include: ['profile.bio']});
+
+    expect(fields.isSelectedPath('name', {include: [], exclude: []})).to.equal(true);
+    expect(fields.isSelectedPath('name', excluded)).to.equal(true);
+    expect(fields.isSelectedPath('profile', excluded)).to.equal(true);
+    expect(fields.isSelectedPath('passwordHash', excluded)).to.equal(false);
+    expect(fields.isSelectedPath('profile', included)).to.equal(true);
+    return expect(fields.isSelectedPath('name', included)).to.equal(false);
+  });
+});
+
+/**
+ * Select mapping fields
+ *
+ */
+
+describe('Fields - Select mapping', () => {
+
+  const properties = {
+    name: {type: 'text'},
+    passwordHash: {type: 'keyword'},
+    profile: {
+      properties: {
+        bio: {type: 'text'},
+        avatar: {type: 'binary'}
+      }
+    },
+    tokens: {
+      type: 'nested',
+      properties: {
+        value: {type: 'keyword'},
+        issuer: {type: 'keyword'}
+      }
+    }
+  };
+
+  it('should remove excluded fields', () => {
+
+    const selection = fields.getFields(UserSchema);
+
+    return expect(fields.selectMapping(properties, selection)).to.deep.equal({
+      name: {type: 'text'},
+      profile: properties.profile,
+      tokens: {
+        type: 'nested',
+        properties: {
+          issuer: {type: 'keyword'}
+        }
+      }
+    });
+  });
+
+  it('should only keep included fields', () => {
+
+    const selection = {include: ['profile.bio'], exclude: []};
+
+    return expect(fields.selectMapping(properties, selection)).to.deep.equal({
+      profile: {
+        properties: {
+          bio: {type: 'text'}
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,297 @@
+'use strict';
+
+const _ = require('lodash');
+const chai = require('chai');
+const mongoose = require('mongoose');
+const mapping = require('../lib/mapping');
+
+const expect = chai.expect;
+
+/**
+ * Test data
+ *
+ */
+
+const stringMapping = {
+  type: 'text',
+  fields: {
+    keyword: {
+      type: 'keyword',
+      ignore_above: 256
+    }
+  }
+};
+
+const LegSchema = new mongoose.Schema({
+  length: {
+    type: Number
+  }
+});
+
+const OwnerSchema = new mongoose.Schema({
+  name: {
+    type: String
+  }
+}, {_id: false});
+
+const AnimalSchema = new mongoose.Schema({
+  name: {
+    type: String
+  },
+  age: {
+    type: Number
+  },
+  birthday: {
+    type: Date
+  },
+  isHappy: {
+    type: Boolean
+  },
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food'
+  },
+  address: {
+    city: {
+      type: String
+    },
+    zip: {
+      type: String,
+      es: {type: 'keyword'}
+    }
+  },
+  description: {
+    type: String,
+    es: {analyzer: 'english'}
+  },
+  owner: OwnerSchema,
+  legs: [LegSchema],
+  tags: [String],
+  friends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  }],
+  misc: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {versionKey: false});
+
+/**
+ * Generate
+ *
+ */
+
+describe('Mapping - Generate', () => {
+
+  const properties = mapping.generate(AnimalSchema);
+
+  it('should not map the root _id path', () => {
+
+    return expect(properties).to.not.have.property('_id');
+  });
+
+  it('should map primitive types', () => {
+
+    expect(properties.name).to.deep.equal(stringMapping);
+    expect(properties.age).to.deep.equal({type: 'double'});
+    expect(properties.birthday).to.deep.equal({type: 'date'});
+    expect(properties.isHappy).to.deep.equal({type: 'boolean'});
+    expect(properties.food).to.deep.equal({type: 'keyword'});
+  });
+
+  it('should map nested paths as objects', () => {
+
+    return expect(properties.address).to.deep.equal({
+      properties: {
+        city: stringMapping,
+        zip: {type: 'keyword'}
+      }
+    });
+  });
+
+  it('should map subdocuments and document arrays as objects', () => {
+
+    expect(properties.owner).to.deep.equal({
+      properties: {
+        name: stringMapping
+      }
+    });
+
+    expect(properties.legs).to.deep.equal({
+      properties: {
+        length: {type: 'double'},
+        _id: {type: 'keyword'}
+      }
+    });
+  });
+
+  it('should map arrays by their element type', () => {
+
+    expect(properties.tags).to.deep.equal(stringMapping);
+    expect(properties.friends).to.deep.equal({type: 'keyword'});
+  });
+
+  it('should leave unsupported types to dynamic mapping', () => {
+
+    return expect(properties).to.not.have.property('misc');
+  });
+
+  it('should merge path overrides without type', () => {
+
+    return expect(properties.description).to.deep.equal({
+      type: 'text',
+      analyzer: 'english',
+      fields: stringMapping.fields
+    });
+  });
+});
+
+/**
+ * Merge
+ *
+ */
+
+describe('Mapping - Merge', () => {
+
+  const properties = mapping.generate(AnimalSchema);
+
+  it('should replace properties with overrides that declare a type', () => {
+
+    const merged = mapping.merge(properties, {name: {type: 'keyword'}});
+
+    expect(merged.name).to.deep.equal({type: 'keyword'});
+    expect(properties.name).to.deep.equal(stringMapping);
+  });
+
+  it('should replace primitive properties with object overrides', () => {
+
+    const food = {properties: {name: {type: 'keyword'}}};
+    const merged = mapping.merge(properties, {food});
+
+    return expect(merged.food).to.deep.equal(food);
+  });
+
+  it('should merge object properties recursively', () => {
+
+    const merged = mapping.merge(properties, {
+      legs: {properties: {length: {type: 'integer'}}},
+      weight: {type: 'float'}
+    });
+
+    expect(merged.weight).to.deep.equal({type: 'float'});
+    expect(merged.legs).to.deep.equal({
+      properties: {
+        length: {type: 'integer'},
+        _id: {type: 'keyword'}
+      }
+    });
+  });
+});
+
+/**
+ * Diff
+ *
+ */
+
+describe('Mapping - Diff', () => {
+
+  const properties = mapping.generate(AnimalSchema);
+
+  it('should not report differences for equal mappings', () => {
+
+    return expect(mapping.diff(properties, properties)).to.deep.equal({
+      added: [],
+      removed: [],
+      conflicts: []
+    });
+  });
+
+  it('should report added and removed fields', () => {
+
+    const actual = mapping.merge(_.omit(properties, 'age'), {
+      weight: {type: 'float'},
+      address: {properties: {street: stringMapping}}
+    });
+
+    return expect(mapping.diff(properties, actual)).to.deep.equal({
+      added: ['age'],
+      removed: ['address.street', 'weight'],
+      conflicts: []
+    });
+  });
+
+  it('should report added multi-fields', () => {
+
+    const actual = mapping.merge(properties, {name: {type: 'text'}});
+
+    return expect(mapping.diff(properties, actual).added)
+      .to.deep.equal(['name.keyword']);
+  });
+
+  it('should report conflicting types and parameters', () => {
+
+    const actual = mapping.merge(properties, {
+      age: {type: 'boolean'},
+      description: {type: 'text', analyzer: 'standard', fields: stringMapping.fields},
+      owner: {type: 'nested', properties: {name: stringMapping}}
+    });
+
+    return expect(mapping.diff(properties, actual).conflicts).to.deep.equal([
+      {path: 'age', expected: properties.age, actual: actual.age},
+      {path: 'description', expected: properties.description, actual: actual.description},
+      {path: 'owner', expected: properties.owner, actual: actual.owner}
+    ]);
+  });
+
+  it('should only compare parameters that are present on both sides', () => {
+
+    const expected = {name: {type: 'keyword', index: true, doc_values: true}};
+    const actual = {name: {type: 'keyword'}};
+
+    return expect(mapping.diff(expected, actual).conflicts).to.deep.equal([]);
+  });
+
+  it('should compare legacy string fields as text or keyword', () => {
+
+    const expected = {name: {type: 'keyword'}, text: {type: 'text'}, city: {type: 'keyword'}};
+    const actual = {
+      name: {type: 'string', index: 'not_analyzed'},
+      text: {type: 'string'},
+      city: {type: 'string', index: 'no'}
+    };
+
+    return expect(_.pluck(mapping.diff(expected, actual).conflicts, 'path'))
+      .to.deep.equal([]);
+  });
+
+  it('should not report compatible numeric and string types as conflicts', () => {
+
+    const actual = mapping.merge(properties, {
+      age: {type: 'long'},
+      food: {type: 'text', fields: stringMapping.fields}
+    });
+
+    return expect(mapping.diff(properties, actual)).to.deep.equal({
+      added: [],
+      removed: ['food.keyword'],
+      conflicts: []
+    });
+  });
+
+  it('should get the additions of fields and multi-fields, without conflicts', () => {
+
+    const actual = {
+      name: {type: 'keyword', ignore_above: 100},
+      age: {type: 'boolean'},
+      address: {properties: {city: stringMapping}}
+    };
+
+    const expected = _.pick(properties, 'name', 'age', 'address', 'birthday');
+
+    return expect(mapping.additions(expected, actual)).to.deep.equal({
+      name: {type: 'keyword', ignore_above: 100, fields: stringMapping.fields},
+      address: {properties: {zip: {type: 'keyword'}}},
+      birthday: {type: 'date'}
+    });
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const _ = require('lodash');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const mongoose = require('mongoose');
+const outbox = require('../lib/outbox');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Test data
+ *
+ */
+
+const connectionString = 'mongodb://localhost:27017/mongoolastic-test';
+const collectionName = 'mongoolastic_test_outbox';
+
+function createEntry(id, createdAt, lockedUntil) {
+  return {model: 'Cat', id, operation: 'index', createdAt, lockedUntil: lockedUntil || createdAt};
+}
+
+/**
+ * Store
+ *
+ */
+
+describe('Outbox - Store', function() {
+
+  this.timeout(20000);
+
+  const connection = mongoose.createConnection(connectionString);
+  const store = outbox.create(connection, collectionName);
+
+  before(() => connection.asPromise());
+
+  beforeEach(() => store.collection.deleteMany({}));
+
+  after(() => {
+
+    return store.collection.drop()
+      .then(() => connection.close());
+  });
+
+  it('should validate stores', () => {
+
+    expect(outbox.isValidStore(store)).to.equal(true);
+    return expect(outbox.isValidStore({add: () => null})).to.equal(false);
+  });
+
+  it('should claim unlocked intents, oldest first', () => {
+
+    const entries = [
+      createEntry('2', new Date(2000)),
+      createEntry('1', new Date(1000)),
+      createEntry('3', new Date(3000)),
+      createEntry('4', new Date(4000), new Date(Date.now() + 60000))
+    ];
+
+    return store.add(entries)
+      .then(() => store.claim(2, 60000))
+      .then((res) => {
+
+        expect(_.pluck(res, 'id')).to.deep.equal(['1', '2']);
+        expect(_.pluck(res, 'attempts')).to.deep.equal([1, 1]);
+        expect(res[0].claim).to.be.a('string');
+        expect(res[0].lockedUntil.getTime()).to.be.above(Date.now() + 50000);
+
+        return store.claim(10, 60000);
+      })
+      .then((res) => {
+        return expect(_.pluck(res, 'id')).to.deep.equal(['3']);
+      });
+  });
+
+  it('should claim intents again once their lock has expired', () => {
+
+    return store.add([createEntry('1', new Date(1000))])
+      .then(() => store.claim(10, -1000))
+      .then(() => store.claim(10, 60000))
+      .then((res) => {
+
+        expect(_.pluck(res, 'id')).to.deep.equal(['1']);
+        return expect(_.pluck(res, 'attempts')).to.deep.equal([2]);
+      });
+  });
+
+  it('should remove acknowledged intents', () => {
+
+    return store.add([createEntry('1', new Date(1000)), createEntry('2', new Date(2000))])
+      .then(() => store.claim(1, 60000))
+      .then((res) => store.ack(_.pluck(res, '_id')))
+      .then(() => store.collection.find({}).toArray())
+      .then((res) => {
+        return expect(_.pluck(res, 'id')).to.deep.equal(['2']);
+      });
+  });
+
+  it('should release intents until the supplied date', () => {
+
+    return store.add([createEntry('1', new Date(1000))])
+      .then(() => store.claim(10, 60000))
+      .then((res) => store.release(_.pluck(res, '_id'), new Date(Date.now() + 60000)))
+      .then(() => store.claim(10, 60000))
+      .then((res) => {
+
+        expect(res).to.deep.equal([]);
+        return store.collection.find({}).toArray();
+      })
+      .then((res) => {
+
+        expect(res[0].claim).to.equal(null);
+        return store.release(_.pluck(res, '_id'), new Date());
+      })
+      .then(() => store.claim(10, 60000))
+      .then((res) => {
+        return expect(_.pluck(res, 'id')).to.deep.equal(['1']);
+      });
+  });
+});
@@ -1,5 +1,6 @@
 'use strict';
 
+const _ = require('lodash');
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const Bluebird = require('bluebird');
@@ -86,6 +87,69 @@ const ColorModel = mongoose.model('Color', ColorSchema);
 const CatModel = mongoose.model('Cat', CatSchema);
 const SuperCatModel = mongoose.model('SuperCat', CatSchema);
 
+const stringMapping = {
+  type: 'text',
+  fields: {
+    keyword: {
+      type: 'keyword',
+      ignore_above: 256
+    }
+  }
+};
+
+const catMappings = {
+  Cat: {
+    properties: {
+      name: stringMapping,
+      color: stringMapping,
+      __v: {
+        type: 'double'
+      }
+    }
+  }
+};
+
+const dogMappings = {
+  Dog: {
+    properties: {
+      name: {
+        type: 'string',
+        index: 'not_analyzed'
+      },
+      color: stringMapping,
+      hobbies: {
+        properties: {
+          likes: {
+            type: 'long'
+          },
+          activity: stringMapping,
+          _id: {
+            type: 'keyword'
+          }
+        }
+      },
+      candy: {
+        properties: {
+          name: {
+            index: 'not_analyzed',
+            type: 'string'
+          },
+          wrappingColor: {
+            properties: {
+              lightness: {
+                type: 'integer'
+              }
+            }
+          }
+        }
+      },
+      __v: {
+        type: 'double'
+      }
+    }
+  }
+};
+
 const testIndex = 'mongoolastic-test-plugin';
 const testIndexSettings = {
   'index': {
@@ -122,6 +186,51 @@ mongoose.connection.on('error', onConnectionError);
 mongoose.connection.once('open', onConnectionOpen);
 mongoose.connect(connectionString, connectionOptions);
 
+/**
+ * Create instance
+ *
+ *
+ */
+
+describe('Plugin - Create', function() {
+
+  it('should throw InvalidArgumentError if options are not valid', () => {
+
+    return expect(() => plugin.create(123))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should throw InvalidArgumentError if bulk options are not valid', () => {
+
+    return expect(() => plugin.create({bulkSize: 'abc'}))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should create isolated instances with their own bulk settings', () => {
+
+    const BirdModel = mongoose.model('Bird', new mongoose.Schema({name: String}));
+    const first = plugin.create({bulkSize: 10, bulkTimeout: 50});
+    const second = plugin.create();
+
+    expect(first).to.not.equal(plugin);
+    expect(first.es).to.not.equal(second.es);
+    expect(first.es).to.not.equal(plugin.es);
+    expect(first.registeredModels).to.not.equal(second.registeredModels);
+    expect(first.es.bulkSize).to.equal(10);
+    expect(first.es.bulkTimeout).to.equal(50);
+    expect(second.es.bulkSize).to.equal(plugin.es.bulkSize);
+
+    return expect(first.registerModel(BirdModel))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        expect(first.registeredModels.has(BirdModel.modelName)).to.equal(true);
+        expect(second.registeredModels.has(BirdModel.modelName)).to.equal(false);
+        expect(plugin.registeredModels.has(BirdModel.modelName)).to.equal(false);
+      });
+  });
+});
+
 /**
  * Register plugin
  *
@@ -152,9 +261,9 @@ describe('Plugin - Register model', function() {
       .to.be.rejectedWith(errors.InvalidArgumentError);
   });
 
-  it('should register a model without mapping and transform function', () => {
+  it('should register a model with mapping generated from the schema', () => {
 
-    const expectedMappings = {};
+    const expectedMappings = catMappings;
 
     return expect(plugin.registerModel(CatModel))
       .to.eventually.be.fulfilled
@@ -165,6 +274,20 @@ describe('Plugin - Register model', function() {
       });
   });
 
+  it('should register a model without generated mapping', () => {
+
+    const instance = plugin.create();
+    const MouseModel = mongoose.model('Mouse', new mongoose.Schema({name: String}));
+
+    return expect(instance.registerModel(MouseModel, {generateMapping: false}))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(instance.getMappings())
+          .to.deep.equal({});
+      });
+  });
+
   it('should register a model with mapping and transform function', () => {
 
     const transform = (doc, done) => {
@@ -210,38 +333,7 @@ describe('Plugin - Register model', function() {
       }
     };
 
-    const expectedMappings = {
-      Dog: {
-        properties: {
-          name: {
-            type: 'string',
-            index: 'not_analyzed'
-          },
-          hobbies: {
-            properties: {
-              likes: {
-                type: 'long'
-              }
-            }
-          },
-          candy: {
-            properties: {
-              name: {
-                index: 'not_analyzed',
-                type: 'string'
-              },
-              wrappingColor: {
-                properties: {
-                  lightness: {
-                    type: 'integer'
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    };
+    const expectedMappings = Object.assign({}, catMappings, dogMappings);
 
     return expect(plugin.registerModel(DogModel, {transform, mapping}))
       .to.eventually.be.fulfilled
@@ -253,6 +345,106 @@ describe('Plugin - Register model', function() {
   });
 });
 
+/**
+ * Model indices
+ *
+ *
+ */
+
+describe('Plugin - Model indices', function() {
+
+  const instance = plugin.create();
+  const fishIndex = 'mongoolastic-test-plugin-fish';
+  const fishSettings = {index: {number_of_replicas: 0}};
+  const FishModel = mongoose.model('Fish', new mongoose.Schema({name: String}));
+  const HorseModel = mongoose.model('Horse', new mongoose.Schema({name: String}));
+
+  const fishMapping = {
+    name: {
+      type: 'keyword'
+    }
+  };
+
+  const fishMappings = {
+    Fish: {
+      properties: {
+        name: {
+          type: 'keyword'
+        },
+        __v: {
+          type: 'double'
+        }
+      }
+    }
+  };
+
+  before((done) => {
+
+    client.connect(host)
+      .then(() => client.ensureDeleteIndex(fishIndex))
+      .then(() => done())
+      .catch(done);
+  });
+
+  it('should throw InvalidArgumentError if model index is not valid', () => {
+
+    return expect(instance.registerModel(FishModel, {index: 'Fish'}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should throw InvalidArgumentError if model settings are not valid', () => {
+
+    return expect(instance.registerModel(FishModel, {index: fishIndex, settings: 123}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should register models with and without own index', () => {
+
+    const options = {index: fishIndex, settings: fishSettings, mapping: fishMapping};
+
+    return expect(instance.registerModel(FishModel, options))
+      .to.eventually.be.fulfilled
+      .then(() => instance.registerModel(HorseModel))
+      .then(() => {
+
+        instance.index = testIndex;
+
+        expect(instance.getIndex(FishModel.modelName)).to.equal(fishIndex);
+        expect(instance.getIndex(HorseModel.modelName)).to.equal(testIndex);
+        expect(instance.getIndices()).to.deep.equal([testIndex, fishIndex]);
+        expect(instance.getSettings(fishIndex)).to.deep.equal(fishSettings);
+        expect(instance.getMappings(fishIndex))
+          .to.deep.equal(fishMappings);
+
+        return expect(instance.getMappings(testIndex))
+          .to.have.all.keys(HorseModel.modelName);
+      });
+  });
+
+  it('should ensure the indices of all registered models on connect', () => {
+
+    return expect(instance.connect(host, testIndex))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(client.getIndexMapping(fishIndex, FishModel.modelName))
+          .to.eventually.be.fulfilled
+          .then((res) => {
+
+            return expect(res[fishIndex].mappings)
+              .to.deep.equal(fishMappings);
+          });
+      });
+  });
+
+  after((done) => {
+
+    client.ensureDeleteIndex(fishIndex)
+      .then(() => done())
+      .catch(done);
+  });
+});
+
 /**
  * Connect
  *
@@ -286,38 +478,7 @@ describe('Plugin - Connect', function() {
 
   it('should connect to Elasticsearch', function() {
 
-    const expectedMappings = {
-      Dog: {
-        properties: {
-          name: {
-            type: 'string',
-            index: 'not_analyzed'
-          },
-          hobbies: {
-            properties: {
-              likes: {
-                type: 'long'
-              }
-            }
-          },
-          candy: {
-            properties: {
-              name: {
-                index: 'not_analyzed',
-                type: 'string'
-              },
-              wrappingColor: {
-                properties: {
-                  lightness: {
-                    type: 'integer'
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    };
+    const expectedMappings = dogMappings;
 
     return expect(plugin.connect(host, testIndex, {settings: testIndexSettings}))
       .to.eventually.be.fulfilled
@@ -617,5 +778,2349 @@ describe('Plugin - Sync', function() {
         .catch(done);
     });
   });
+
+  it('should throw InvalidArgumentError if options are invalid', () => {
+
+    return expect(plugin.sync(CatModel, {batchSize: 'abc'}))
+      .to.be.rejectedWith(errors.InvalidArgumentError)
+      .then(() => {
+
+        return expect(plugin.sync(CatModel, {checkpoint: {}}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should sync filtered documents in batches and report progress', () => {
+
+    const checkpoints = new Map();
+    const progress = [];
+    const onProgress = (event) => progress.push(event);
+
+    const store = {
+      get: (key) => checkpoints.get(key),
+      set: (key, lastId) => {
+        checkpoints.set(key, lastId);
+      },
+      clear: (key) => {
+        checkpoints.delete(key);
+      }
+    };
+
+    const options = {
+      query: {name: 'Bingo'},
+      batchSize: 1,
+      concurrency: 2,
+      checkpoint: store
+    };
+
+    plugin.on('progress', onProgress);
+
+    return Bluebird.resolve(CatModel.countDocuments({name: 'Bingo'}).exec())
+      .then((total) => {
+
+        return expect(plugin.sync(CatModel, options))
+          .to.eventually.deep.equal({processed: total, total})
+          .then(() => {
+
+            plugin.removeListener('progress', onProgress);
+
+            expect(progress).to.have.length(total);
+            expect(_.last(progress)).to.deep.equal({model: 'Cat', processed: total, total});
+
+            return expect(checkpoints.size).to.equal(0);
+          });
+      });
+  });
+});
+
+/**
+ * Sync checkpoints
+ *
+ */
+
+describe('Plugin - Sync checkpoints', function() {
+
+  it('should continue an interrupted sync after the last written batch', () => {
+
+    const docs = [{_id: 1}, {_id: 2}, {_id: 3}];
+    const checkpoints = new Map();
+    const calls = [];
+    const instance = plugin.create();
+
+    // Matches the queries of sync and syncBatch
+    const matches = (doc, query) => {
+
+      if (!query.$and) {
+        return true;
+      }
+
+      const id = query.$and[1]._id;
+      return id.$gt === undefined ? doc._id <= id.$lte : doc._id > id.$gt;
+    };
+
+    const model = {
+      modelName: 'ResumedCat',
+      schema: new mongoose.Schema({name: String}),
+      countDocuments: (query) => {
+        const count = docs.filter((doc) => matches(doc, query)).length;
+        return {exec: () => Bluebird.resolve(count)};
+      },
+      find: (query) => {
+
+        const res = docs.filter((doc) => matches(doc, query));
+        const limit = (limit) => ({exec: () => Bluebird.resolve(res.slice(0, limit))});
+
+        return {sort: () => ({limit})};
+      }
+    };
+
+    const store = {
+      get: (key) => checkpoints.get(key),
+      set: (key, lastId) => {
+        calls.push(['set', lastId]);
+        checkpoints.set(key, lastId);
+      },
+      clear: (key) => {
+        checkpoints.delete(key);
+      }
+    };
+
+    let isFailing = true;
+
+    instance.indexDoc = (doc) => {
+
+      if (isFailing && doc._id === 3) {
+        return Bluebird.reject(new Error('crash'));
+      }
+
+      calls.push(['index', doc._id]);
+      return Bluebird.resolve();
+    };
+
+    instance.es.flush = () => {
+      calls.push(['flush']);
+      return Bluebird.resolve();
+    };
+
+    instance.es.refresh = () => Bluebird.resolve();
+
+    const options = {batchSize: 1, checkpoint: store};
+
+    return expect(instance.sync(model, options))
+      .to.be.rejectedWith('crash')
+      .then(() => {
+
+        expect(calls).to.deep.equal([
+          ['index', 1], ['flush'], ['set', 1],
+          ['index', 2], ['flush'], ['set', 2]
+        ]);
+
+        expect(Array.from(checkpoints.values())).to.deep.equal([2]);
+
+        // Syncs with other queries do not continue after the checkpoint
+        const otherStore = _.assign({}, store, {set: () => null});
+        calls.length = 0;
+
+        return expect(instance.sync(model, {query: {name: 'Bob'}, checkpoint: otherStore}))
+          .to.be.rejectedWith('crash');
+      })
+      .then(() => {
+
+        expect(calls[0]).to.deep.equal(['index', 1]);
+
+        isFailing = false;
+        calls.length = 0;
+
+        return expect(instance.sync(model, options))
+          .to.eventually.deep.equal({processed: 3, total: 3});
+      })
+      .then(() => {
+
+        expect(calls).to.deep.equal([['index', 3], ['flush'], ['set', 3], ['flush']]);
+        return expect(checkpoints.size).to.equal(0);
+      });
+  });
 });
 
+/**
+ * Search
+ *
+ *
+ */
+
+describe('Plugin - Search', function() {
+
+  const newCat = new CatModel({name: 'Hydra'});
+  const unsavedCat = new CatModel({name: 'Hydra'});
+
+  before((done) => {
+
+    newCat.save((err) => {
+
+      if (err) {
+        return done(err);
+      }
+
+      plugin.indexDoc(newCat, false)
+        .then(() => plugin.indexDoc(unsavedCat, false))
+        .then(() => done())
+        .catch(done);
+    });
+  });
+
+  it('should throw InvalidArgumentError if search body is not valid', () => {
+
+    return expect(() => plugin.search(CatModel, 123))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should throw InvalidArgumentError if options are not valid', () => {
+
+    return expect(() => plugin.search(CatModel, {}, 123))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should return the raw Elasticsearch response', () => {
+
+    const body = {query: {match: {name: 'Hydra'}}};
+
+    return expect(plugin.search(CatModel, body))
+      .to.eventually.be.fulfilled
+      .then((res) => {
+
+        expect(res).to.have.property('hits');
+        return expect(res.hits.hits).to.have.length(2);
+      });
+  });
+
+  it('should hydrate hits and report missing documents', () => {
+
+    const body = {query: {match: {name: 'Hydra'}}, highlight: {fields: {name: {}}}};
+
+    return expect(plugin.search(CatModel, body, {hydrate: true, select: 'name'}))
+      .to.eventually.be.fulfilled
+      .then((res) => {
+
+        expect(res.docs).to.have.length(1);
+        expect(res.docs[0]).to.be.an.instanceof(CatModel);
+        expect(res.docs[0].id).to.equal(newCat.id);
+        expect(res.docs[0]._score).to.be.a('number');
+        expect(res.docs[0].highlight).to.have.property('name');
+
+        return expect(res.missing).to.deep.equal([unsavedCat.id]);
+      });
+  });
+});
+
+/**
+ * Schema plugin
+ *
+ *
+ */
+
+describe('Plugin - Schema plugin', function() {
+
+  const OwlSchema = new mongoose.Schema({name: String});
+
+  it('should throw InvalidArgumentError if schema is not valid', () => {
+
+    return expect(() => plugin.plugin(123))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should throw InvalidArgumentError if options are not valid', () => {
+
+    return expect(() => new mongoose.Schema({}).plugin(plugin.plugin, 123))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should throw InvalidArgumentError on compile if options are not valid', () => {
+
+    const schema = new mongoose.Schema({name: String});
+
+    schema.plugin(plugin.plugin, {index: 'Bad'});
+
+    expect(() => mongoose.model('InvalidOwl', schema))
+      .to.throw(errors.InvalidArgumentError);
+
+    return expect(plugin.registeredModels.has('InvalidOwl')).to.equal(false);
+  });
+
+  it('should add statics and methods and register compiled models', () => {
+
+    OwlSchema.plugin(plugin.plugin, {mapping: {name: {type: 'keyword'}}});
+    const OwlModel = mongoose.model('Owl', OwlSchema);
+    const owl = new OwlModel({name: 'Hedwig'});
+
+    expect(OwlModel.search).to.be.a('function');
+    expect(OwlModel.esSync).to.be.a('function');
+    expect(OwlModel.esCount).to.be.a('function');
+    expect(owl.esIndex).to.be.a('function');
+    expect(owl.esRemove).to.be.a('function');
+    expect(owl.esGet).to.be.a('function');
+
+    return expect(plugin.registeredModels.get(OwlModel.modelName).mapping.name)
+      .to.deep.equal({type: 'keyword'});
+  });
+
+  it('should index, count, get and remove documents', () => {
+
+    const OwlModel = mongoose.model('Owl');
+    const owl = new OwlModel({name: 'Errol'});
+
+    return expect(owl.esIndex())
+      .to.eventually.be.fulfilled
+      .then(() => owl.esGet())
+      .then((res) => {
+
+        expect(res._id).to.equal(owl.id);
+        expect(res._source.name).to.equal(owl.name);
+
+        return OwlModel.esCount({query: {match: {name: 'Errol'}}});
+      })
+      .then((count) => {
+
+        expect(count).to.equal(1);
+        return owl.esRemove();
+      })
+      .then(() => {
+
+        return expect(owl.esGet())
+          .to.be.rejectedWith(errors.DocumentNotFoundError);
+      });
+  });
+});
+
+/**
+ * Query middleware
+ *
+ *
+ */
+
+describe('Plugin - Query middleware', function() {
+
+  this.timeout(30000);
+
+  const bulkDelay = 12000;
+  const names = ['Tom', 'Tim', 'Tam'];
+  let cats = [];
+
+  before((done) => {
+
+    Bluebird.resolve(names)
+      .map((name) => new CatModel({name, color: 'grey'}).save())
+      .then((docs) => {
+        cats = docs;
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should index documents changed by updateMany and findOneAndUpdate', () => {
+
+    const type = CatModel.modelName;
+
+    return Bluebird.resolve(CatModel.updateMany({name: {$in: names}}, {color: 'white'}).exec())
+      .then(() => {
+        return CatModel.findOneAndUpdate({_id: cats[0]._id}, {color: 'black'}).exec();
+      })
+      .delay(bulkDelay)
+      .then(() => cats)
+      .map((cat) => client.getDoc(cat.id, type, testIndex))
+      .then((res) => {
+
+        expect(res[0]._source.color).to.equal('black');
+        expect(res[1]._source.color).to.equal('white');
+        return expect(res[2]._source.color).to.equal('white');
+      });
+  });
+
+  it('should index documents upserted by findOneAndUpdate without document', () => {
+
+    const schema = new mongoose.Schema({name: String});
+    const UpsertedCat = mongoose.model('UpsertedCat', schema);
+    const instance = plugin.create();
+    const id = new mongoose.Types.ObjectId();
+    const query = {
+      model: UpsertedCat,
+      getOptions: () => ({upsert: true, new: false, includeResultMetadata: true}),
+      getQuery: () => ({name: 'Bob'})
+    };
+    const indexed = [];
+
+    instance.indexDocsById = (model, ids) => {
+      indexed.push(ids.map(String));
+      return Bluebird.resolve();
+    };
+
+    instance.indexDependentsById = () => Bluebird.resolve();
+
+    const res = {value: null, lastErrorObject: {updatedExisting: false, upserted: id}, ok: 1};
+
+    return instance.registerModel(UpsertedCat)
+      .then(() => schema.s.hooks.execPost('findOneAndUpdate', query, [res]))
+      .then(() => instance.flush())
+      .then(() => {
+        return expect(indexed).to.deep.equal([[id.toString()]]);
+      });
+  });
+
+  it('should remove documents deleted by deleteMany', () => {
+
+    const type = CatModel.modelName;
+
+    return Bluebird.resolve(CatModel.deleteMany({name: {$in: names}}).exec())
+      .delay(bulkDelay)
+      .then(() => cats)
+      .map((cat) => {
+        return expect(client.getDoc(cat.id, type, testIndex))
+          .to.be.rejectedWith(errors.DocumentNotFoundError);
+      });
+  });
+});
+
+/**
+ * Model middleware
+ *
+ *
+ */
+
+describe('Plugin - Model middleware', function() {
+
+  this.timeout(30000);
+
+  const bulkDelay = 12000;
+  const type = CatModel.modelName;
+  let cats = [];
+
+  it('should index documents created with insertMany', () => {
+
+    const docs = [{name: 'Ada'}, {name: 'Bea'}, {name: 'Cid'}];
+
+    return Bluebird.resolve(CatModel.insertMany(docs))
+      .then((res) => {
+        cats = res;
+      })
+      .delay(bulkDelay)
+      .then(() => cats)
+      .map((cat) => client.getDoc(cat.id, type, testIndex))
+      .then((res) => {
+        return expect(res.map((doc) => doc._source.name)).to.deep.equal(['Ada', 'Bea', 'Cid']);
+      });
+  });
+
+  it('should index and remove documents changed with bulkWrite', () => {
+
+    const newCat = new CatModel({name: 'Dot'});
+
+    const ops = [
+      {insertOne: {document: newCat}},
+      {updateOne: {filter: {_id: cats[0]._id}, update: {color: 'orange'}}},
+      {deleteOne: {filter: {_id: cats[1]._id}}}
+    ];
+
+    return Bluebird.resolve(CatModel.bulkWrite(ops))
+      .delay(bulkDelay)
+      .then(() => client.getDoc(newCat.id, type, testIndex))
+      .then((res) => {
+
+        expect(res._source.name).to.equal('Dot');
+        return client.getDoc(cats[0].id, type, testIndex);
+      })
+      .then((res) => {
+
+        expect(res._source.color).to.equal('orange');
+
+        return expect(client.getDoc(cats[1].id, type, testIndex))
+          .to.be.rejectedWith(errors.DocumentNotFoundError);
+      });
+  });
+
+  it('should attribute the ids of concurrent bulkWrites to their own call', () => {
+
+    const BulkCat = mongoose.model('BulkCat', new mongoose.Schema({name: String}));
+    const instance = plugin.create();
+    const first = new BulkCat({name: 'Slow'});
+    const second = new BulkCat({name: 'Fast'});
+    const indexed = [];
+
+    // The first write finishes after the second one
+    BulkCat.bulkWrite = (ops) => {
+
+      const doc = ops[0].insertOne.document;
+      const delay = doc === first ? 50 : 0;
+
+      return Bluebird.delay(delay).then(() => ({insertedIds: {0: doc._id}}));
+    };
+
+    instance.indexDocsById = (model, ids) => {
+      indexed.push(ids.map(String));
+      return Bluebird.resolve();
+    };
+
+    instance.removeDocsById = () => Bluebird.resolve();
+    instance.indexDependentsById = () => Bluebird.resolve();
+
+    return instance.registerModel(BulkCat)
+      .then(() => {
+
+        return Bluebird.all([
+          BulkCat.bulkWrite([{insertOne: {document: first}}]),
+          BulkCat.bulkWrite([{insertOne: {document: second}}])
+        ]);
+      })
+      .then(() => {
+        return expect(indexed).to.deep.equal([[second.id], [first.id]]);
+      });
+  });
+});
+
+/**
+ * Partial update
+ *
+ *
+ */
+
+describe('Plugin - Partial update', function() {
+
+  const ParrotModel = mongoose.model('Parrot', new mongoose.Schema({
+    name: String,
+    words: Number
+  }));
+
+  const type = ParrotModel.modelName;
+  const parrot = new ParrotModel({name: 'Polly', words: 1});
+
+  before(() => {
+    return plugin.registerModel(ParrotModel, {partialUpdate: true});
+  });
+
+  it('should index new documents and update modified fields only', () => {
+
+    return Bluebird.resolve(parrot.save())
+      .delay(clientTimeout)
+      .then(() => {
+
+        // Change the indexed document, which is only
+        // kept if the following save is a partial update
+        return client.updateDoc(parrot.id, {name: 'Indexed Polly'}, type, testIndex, false);
+      })
+      .then(() => {
+        parrot.words = 2;
+        return parrot.save();
+      })
+      .delay(clientTimeout)
+      .then(() => client.getDoc(parrot.id, type, testIndex))
+      .then((res) => {
+
+        expect(res._source.words).to.equal(2);
+        return expect(res._source.name).to.equal('Indexed Polly');
+      });
+  });
+});
+
+/**
+ * Filter
+ *
+ *
+ */
+
+describe('Plugin - Filter', function() {
+
+  const ArticleModel = mongoose.model('Article', new mongoose.Schema({
+    title: String,
+    isPublished: Boolean
+  }));
+
+  const type = ArticleModel.modelName;
+  const article = new ArticleModel({title: 'News', isPublished: false});
+  const filter = (doc) => Bluebird.resolve(doc.isPublished);
+
+  it('should throw InvalidArgumentError if filter is not valid', () => {
+
+    return expect(plugin.registerModel(ArticleModel, {filter: 123}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should check if documents match the filter', () => {
+
+    return expect(plugin.registerModel(ArticleModel, {filter}))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(plugin.filterDoc(new ArticleModel({isPublished: true})))
+          .to.eventually.equal(true);
+      })
+      .then(() => {
+
+        return expect(plugin.filterDoc(article))
+          .to.eventually.equal(false);
+      });
+  });
+
+  it('should only index documents that match the filter', () => {
+
+    return Bluebird.resolve(article.save())
+      .delay(clientTimeout)
+      .then(() => {
+
+        return expect(client.docExists(article.id, type, testIndex))
+          .to.eventually.equal(false);
+      })
+      .then(() => {
+        article.isPublished = true;
+        return article.save();
+      })
+      .delay(clientTimeout)
+      .then(() => {
+
+        return expect(client.docExists(article.id, type, testIndex))
+          .to.eventually.equal(true);
+      })
+      .then(() => {
+        article.isPublished = false;
+        return article.save();
+      })
+      .delay(clientTimeout)
+      .then(() => {
+
+        return expect(client.docExists(article.id, type, testIndex))
+          .to.eventually.equal(false);
+      });
+  });
+});
+
+/**
+ * Fields
+ *
+ *
+ */
+
+describe('Plugin - Fields', function() {
+
+  const instance = plugin.create();
+
+  const AccountModel = mongoose.model('Account', new mongoose.Schema({
+    name: String,
+    passwordHash: {
+      type: String,
+      es_indexed: false
+    },
+    settings: {
+      theme: String,
+      secret: String
+    }
+  }));
+
+  it('should throw InvalidArgumentError if field lists are not valid', () => {
+
+    return expect(instance.registerModel(AccountModel, {exclude: 'settings'}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should exclude fields from mapping and document body', () => {
+
+    const account = new AccountModel({
+      name: 'Bob',
+      passwordHash: 'abc',
+      settings: {theme: 'dark', secret: 'xyz'}
+    });
+
+    return expect(instance.registerModel(AccountModel, {exclude: ['settings.secret', '__v']}))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        const registeredModel = instance.registeredModels.get(AccountModel.modelName);
+        const body = instance.getDocBody(account, registeredModel);
+
+        expect(body).to.deep.equal({_id: account._id, name: 'Bob', settings: {theme: 'dark'}});
+
+        return expect(instance.getMappings()).to.deep.equal({
+          Account: {
+            properties: {
+              name: stringMapping,
+              settings: {
+                properties: {
+                  theme: stringMapping
+                }
+              }
+            }
+          }
+        });
+      });
+  });
+
+  it('should not send fields that are not indexed as partial updates', () => {
+
+    const partialInstance = plugin.create();
+    const account = new AccountModel({name: 'Bob', passwordHash: 'abc'});
+    const requests = [];
+
+    partialInstance.es.indexDoc = () => Bluebird.reject(new Error('not-expected'));
+    partialInstance.es.updateDoc = (id, doc) => {
+      requests.push(doc);
+      return Bluebird.resolve();
+    };
+
+    return partialInstance.registerModel(AccountModel, {partialUpdate: true, exclude: ['__v']})
+      .then(() => partialInstance.updateDoc(account, ['passwordHash']))
+      .then(() => partialInstance.updateDoc(account, ['name', 'passwordHash']))
+      .then(() => {
+        return expect(requests).to.deep.equal([{name: 'Bob'}]);
+      });
+  });
+});
+
+/**
+ * Reindex
+ *
+ *
+ */
+
+describe('Plugin - Reindex', function() {
+
+  this.timeout(20000);
+
+  const instance = plugin.create();
+  const reindexIndex = 'mongoolastic-test-reindex';
+
+  const BeeModel = mongoose.model('Bee', new mongoose.Schema({
+    name: String
+  }));
+
+  const type = BeeModel.modelName;
+  const bee = new BeeModel({name: 'Maya'});
+
+  before(() => {
+
+    return client.ensureDeleteIndex([reindexIndex, reindexIndex + '_v1', reindexIndex + '_v2'])
+      .then(() => instance.connect(host, reindexIndex))
+      .then(() => instance.registerModel(BeeModel))
+      .then(() => bee.save())
+      .delay(clientTimeout);
+  });
+
+  it('should throw InvalidArgumentError if options are not valid', () => {
+
+    return expect(instance.reindex(123))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should replace an index with an alias to a new version', () => {
+
+    return expect(instance.reindex())
+      .to.eventually.deep.equal({index: reindexIndex + '_v1', previous: []})
+      .then(() => {
+
+        return expect(client.getAliasIndices(reindexIndex))
+          .to.eventually.deep.equal([reindexIndex + '_v1']);
+      })
+      .then(() => {
+
+        return expect(client.docExists(bee.id, type, reindexIndex))
+          .to.eventually.equal(true);
+      });
+  });
+
+  it('should swap the alias and delete the previous version', () => {
+
+    const previous = [reindexIndex + '_v1'];
+
+    return expect(instance.reindex({deleteOld: true}))
+      .to.eventually.deep.equal({index: reindexIndex + '_v2', previous})
+      .then(() => {
+
+        return expect(client.indexExists(previous))
+          .to.eventually.equal(false);
+      })
+      .then(() => {
+
+        return expect(client.docExists(bee.id, type, reindexIndex + '_v2'))
+          .to.eventually.equal(true);
+      });
+  });
+
+  after(() => {
+    return client.ensureDeleteIndex([reindexIndex + '_v2']);
+  });
+});
+
+/**
+ * Mapping drift
+ *
+ *
+ */
+
+describe('Plugin - Mapping drift', function() {
+
+  const instance = plugin.create();
+  const driftIndex = 'mongoolastic-test-mapping-drift';
+
+  const WaspModel = mongoose.model('Wasp', new mongoose.Schema({
+    name: String
+  }));
+
+  const type = WaspModel.modelName;
+
+  before(() => {
+
+    return client.ensureDeleteIndex(driftIndex)
+      .then(() => instance.registerModel(WaspModel))
+      .then(() => instance.connect(host, driftIndex));
+  });
+
+  it('should not report differences after the index has been created', () => {
+
+    return expect(instance.diffMappings())
+      .to.eventually.deep.equal([]);
+  });
+
+  it('should report and apply added fields on connect', () => {
+
+    return expect(instance.registerModel(WaspModel, {mapping: {stings: {type: 'integer'}}}))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(instance.diffMappings(driftIndex)).to.eventually.deep.equal([{
+          index: driftIndex,
+          type,
+          added: ['stings'],
+          removed: [],
+          conflicts: []
+        }]);
+      })
+      .then(() => instance.connect(host, driftIndex))
+      .then(() => {
+
+        return expect(instance.diffMappings())
+          .to.eventually.deep.equal([]);
+      });
+  });
+
+  it('should throw InvalidMappingError on incompatible changes', () => {
+
+    return expect(instance.registerModel(WaspModel, {mapping: {stings: {type: 'keyword'}}}))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(instance.connect(host, driftIndex))
+          .to.be.rejectedWith(errors.InvalidMappingError, driftIndex + '/' + type + '.stings');
+      })
+      .then(() => instance.updateMappings(driftIndex))
+      .then(() => {
+        throw new Error('not-expected');
+      }, (err) => {
+
+        expect(_.pluck(err.diffs, 'type')).to.deep.equal([type]);
+        return expect(_.pluck(err.diffs[0].conflicts, 'path')).to.deep.equal(['stings']);
+      });
+  });
+
+  after(() => {
+    return client.ensureDeleteIndex(driftIndex);
+  });
+});
+
+describe('Plugin - Mapping updates', () => {
+
+  const HornetModel = mongoose.model('Hornet', new mongoose.Schema({
+    name: String,
+    stings: Number,
+    queen: {type: mongoose.Schema.Types.ObjectId, ref: 'Hornet'}
+  }, {versionKey: false}));
+
+  it('should only put added fields and tolerate dynamic fields and defaults', () => {
+
+    const instance = plugin.create();
+    const requests = [];
+    const live = {
+      name: {type: 'string', index: 'not_analyzed'},
+      stings: {type: 'long'},
+      queen: {type: 'keyword', index: true}
+    };
+
+    instance.es.getIndexMapping = () => {
+      return Bluebird.resolve({'hornets_v1': {mappings: {Hornet: {properties: live}}}});
+    };
+
+    instance.es.putMapping = (index, type, mapping) => {
+      requests.push({index, type, mapping});
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(HornetModel, {index: 'hornets'})
+      .then(() => instance.updateMappings('hornets'))
+      .then(() => {
+
+        return expect(requests).to.deep.equal([{
+          index: 'hornets',
+          type: 'Hornet',
+          mapping: {
+            properties: {
+              name: {
+                type: 'string',
+                index: 'not_analyzed',
+                fields: {keyword: {type: 'keyword', ignore_above: 256}}
+              }
+            }
+          }
+        }]);
+      });
+  });
+});
+
+/**
+ * Search iterator and stream
+ *
+ *
+ */
+
+describe('Plugin - Search iterator', function() {
+
+  this.timeout(5000);
+
+  const instance = plugin.create();
+  const iteratorIndex = 'mongoolastic-test-search-iterator';
+
+  const AntModel = mongoose.model('Ant', new mongoose.Schema({
+    name: String
+  }));
+
+  const ants = _.range(5).map((i) => new AntModel({name: 'Ant ' + i}));
+
+  function readAll(iterator, hits) {
+
+    return iterator.next()
+      .then((res) => {
+
+        if (res.done) {
+          return hits;
+        }
+
+        hits.push(res.value);
+        return readAll(iterator, hits);
+      });
+  }
+
+  before(() => {
+
+    return client.ensureDeleteIndex(iteratorIndex)
+      .then(() => instance.connect(host, iteratorIndex))
+      .then(() => instance.registerModel(AntModel))
+      .then(() => Bluebird.all(ants.map((ant) => ant.save())))
+      .delay(clientTimeout);
+  });
+
+  it('should throw InvalidArgumentError if search body is not valid', () => {
+
+    return expect(() => instance.searchIterator(AntModel, 123))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should iterate all hits page by page', () => {
+
+    const iterator = instance.searchIterator(AntModel, {size: 2, query: {match_all: {}}});
+
+    return expect(readAll(iterator, []))
+      .to.eventually.have.length(ants.length);
+  });
+
+  it('should stream all hits', (done) => {
+
+    const hits = [];
+
+    instance.searchStream(AntModel, {size: 2})
+      .on('data', (hit) => hits.push(hit))
+      .on('error', done)
+      .on('end', () => {
+
+        expect(_.pluck(hits, '_id').sort()).to.deep.equal(_.pluck(ants, 'id').sort());
+        done();
+      });
+  });
+
+  after(() => {
+    return client.ensureDeleteIndex(iteratorIndex);
+  });
+});
+
+/**
+ * Populate
+ *
+ *
+ */
+
+describe('Plugin - Populate', function() {
+
+  const AuthorModel = mongoose.model('Author', new mongoose.Schema({
+    name: String
+  }));
+
+  const BookModel = mongoose.model('Book', new mongoose.Schema({
+    title: String,
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author'
+    }
+  }));
+
+  const type = BookModel.modelName;
+  const author = new AuthorModel({name: 'Astrid'});
+  const book = new BookModel({title: 'Pippi', author: author._id});
+
+  it('should throw InvalidArgumentError if populated paths are not valid', () => {
+
+    return expect(plugin.registerModel(BookModel, {populate: 'author'}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should map populated paths with the mapping of the referenced model', () => {
+
+    return expect(plugin.registerModel(BookModel, {populate: ['author']}))
+      .to.eventually.be.fulfilled
+      .then(() => {
+
+        return expect(plugin.getMappings()[type].properties.author).to.deep.equal({
+          properties: {
+            _id: {type: 'keyword'},
+            name: stringMapping,
+            __v: {type: 'double'}
+          }
+        });
+      });
+  });
+
+  it('should index populated documents without changing the saved document', () => {
+
+    return Bluebird.resolve(author.save())
+      .then(() => book.save())
+      .delay(clientTimeout)
+      .then(() => {
+
+        expect(book.populated('author')).to.equal(undefined);
+        return client.getDoc(book.id, type, testIndex);
+      })
+      .then((res) => {
+        return expect(res._source.author.name).to.equal('Astrid');
+      });
+  });
+});
+
+/**
+ * Depends on
+ *
+ *
+ */
+
+describe('Plugin - Depends on', function() {
+
+  const PublisherModel = mongoose.model('Publisher', new mongoose.Schema({
+    name: String
+  }));
+
+  const MagazineModel = mongoose.model('Magazine', new mongoose.Schema({
+    title: String,
+    publisher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Publisher'
+    }
+  }));
+
+  const type = MagazineModel.modelName;
+  const publisher = new PublisherModel({name: 'Moo Press'});
+  const magazine = new MagazineModel({title: 'Farm Weekly', publisher: publisher._id});
+
+  const options = {
+    populate: ['publisher'],
+    dependsOn: {model: 'Publisher', path: 'publisher'}
+  };
+
+  it('should throw InvalidArgumentError if dependencies are not valid', () => {
+
+    return expect(plugin.registerModel(MagazineModel, {dependsOn: {model: 'Unknown', path: 'a'}}))
+      .to.be.rejectedWith(errors.InvalidArgumentError)
+      .then(() => {
+
+        return expect(plugin.registerModel(MagazineModel, {dependsOn: [{model: 'Publisher'}]}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should re-index dependent documents when a referenced document changes', () => {
+
+    return expect(plugin.registerModel(MagazineModel, options))
+      .to.eventually.be.fulfilled
+      .then(() => publisher.save())
+      .then(() => magazine.save())
+      .delay(clientTimeout)
+      .then(() => {
+        publisher.name = 'Moo Media';
+        return publisher.save();
+      })
+      .delay(clientTimeout)
+      .then(() => plugin.es.flush())
+      .then(() => client.getDoc(magazine.id, type, testIndex))
+      .then((res) => {
+        return expect(res._source.publisher.name).to.equal('Moo Media');
+      });
+  });
+
+  it('should re-index dependent documents when a referenced document is deleted', () => {
+
+    return Bluebird.resolve(publisher.deleteOne())
+      .delay(clientTimeout)
+      .then(() => plugin.flush())
+      .then(() => client.getDoc(magazine.id, type, testIndex))
+      .then((res) => {
+        return expect(res._source.publisher).to.equal(null);
+      });
+  });
+
+  it('should re-index dependents of documents deleted or updated by queries', () => {
+
+    const schema = new mongoose.Schema({name: String});
+    const EditorModel = mongoose.model('Editor', schema);
+    const IssueModel = mongoose.model('Issue', new mongoose.Schema({
+      title: String,
+      editor: {type: mongoose.Schema.Types.ObjectId, ref: 'Editor'}
+    }));
+
+    const instance = plugin.create();
+    const editor = new EditorModel({name: 'Bob'});
+    const query = {model: EditorModel, getOptions: () => ({})};
+    const calls = [];
+
+    instance.indexDependentsById = (model, ids) => {
+      calls.push([model.modelName, ids.map(String)]);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(IssueModel, {dependsOn: {model: 'Editor', path: 'editor'}})
+      .then(() => schema.s.hooks.execPost('findOneAndDelete', query, [editor]))
+      .then(() => schema.s.hooks.execPost('findOneAndUpdate', query, [editor]))
+      .then(() => {
+
+        return expect(calls).to.deep.equal([
+          ['Editor', [editor.id]],
+          ['Editor', [editor.id]]
+        ]);
+      });
+  });
+});
+
+/**
+ * Events
+ *
+ *
+ */
+
+describe('Plugin - Events', function() {
+
+  const instance = plugin.create();
+  const action = {index: {_index: testIndex, _type: 'Cat', _id: '123'}};
+  const deleteAction = {delete: {_index: testIndex, _type: 'Cat', _id: '456'}};
+
+  function emitFlushed(operations, response) {
+
+    const result = instance.es.handleBulkResult(operations, null, response);
+    instance.es.emit('flushed', _.assign({operations, response, error: null}, result));
+  }
+
+  it('should emit indexed, removed and bulk-flushed events for bulk operations', () => {
+
+    const events = [];
+
+    instance.on('indexed', (event) => events.push(['indexed', event]));
+    instance.on('removed', (event) => events.push(['removed', event]));
+    instance.on('bulk-flushed', (event) => events.push(['bulk-flushed', event]));
+
+    emitFlushed([{action, doc: {name: 'Bob'}}, {action: deleteAction}], {
+      items: [{index: {status: 201}}, {delete: {status: 200}}]
+    });
+
+    instance.removeAllListeners();
+
+    return expect(events).to.deep.equal([
+      ['indexed', {model: 'Cat', id: '123', index: testIndex, operation: 'index'}],
+      ['removed', {model: 'Cat', id: '456', index: testIndex, operation: 'delete'}],
+      ['bulk-flushed', {
+        operation: 'bulk',
+        count: 2,
+        written: 2,
+        skipped: 0,
+        retried: 0,
+        failed: 0,
+        error: null
+      }]
+    ]);
+  });
+
+  it('should emit error events for failed bulk operations', () => {
+
+    const events = [];
+    const item = {index: {status: 400, error: {type: 'mapper_parsing_exception', reason: 'moo'}}};
+
+    instance.on('error', (event) => events.push(event));
+
+    emitFlushed([{action, doc: {name: 'Bob'}}], {errors: true, items: [item]});
+
+    instance.removeAllListeners();
+
+    expect(events).to.have.length(1);
+    expect(events[0]).to.have.property('model', 'Cat');
+    expect(events[0]).to.have.property('id', '123');
+    expect(events[0]).to.have.property('operation', 'index');
+    expect(events[0].error).to.be.instanceof(errors.IndexOperationError);
+    return expect(events[0].error.message).to.equal('moo');
+  });
+
+  it('should not throw for failed bulk operations without error listeners', () => {
+
+    const failing = plugin.create({bulkTimeout: 10});
+    const item = {index: {status: 400, error: {type: 'mapper_parsing_exception', reason: 'moo'}}};
+    const events = [];
+
+    failing.es.client = {
+      bulk: (params, callback) => {
+        setTimeout(() => callback(null, {errors: true, items: [item]}), 0);
+      }
+    };
+
+    failing.on('bulk-flushed', (event) => events.push(event));
+
+    return failing.es.addToBulkBuffer(action, {name: 'Bob'})
+      .then(() => failing.flush())
+      .then(() => {
+
+        expect(events).to.have.length(1);
+        return expect(events[0]).to.have.property('failed', 1);
+      });
+  });
+
+  it('should emit buffer-overflow events', () => {
+
+    const events = [];
+    const error = new errors.BufferOverflowError('buffer-full');
+
+    instance.on('buffer-overflow', (event) => events.push(event));
+    instance.es.emit('buffer-overflow', {action, error});
+    instance.removeAllListeners();
+
+    return expect(events).to.deep.equal([
+      {model: 'Cat', id: '123', index: testIndex, operation: 'index', error}
+    ]);
+  });
+
+  it('should emit rejections of hook operations as error events', (done) => {
+
+    const error = new Error('moo');
+    const event = {model: 'Cat', id: '123', operation: 'index'};
+
+    instance.once('error', (res) => {
+
+      expect(res).to.deep.equal({model: 'Cat', id: '123', operation: 'index', error});
+      done();
+    });
+
+    instance.emitErrors(Bluebird.reject(error), event);
+  });
+});
+
+/**
+ * Shutdown
+ *
+ */
+
+describe('Plugin - Shutdown', function() {
+
+  function createInstance(calls) {
+
+    const instance = plugin.create();
+
+    instance.es.flush = () => {
+      calls.push('flush');
+      return Bluebird.resolve();
+    };
+
+    instance.es.close = () => {
+      calls.push('close');
+    };
+
+    return instance;
+  }
+
+  it('should wait for pending hook operations on flush', () => {
+
+    const calls = [];
+    const instance = createInstance(calls);
+
+    instance.emitErrors(Bluebird.delay(10).then(() => calls.push('hook')), {});
+
+    return instance.flush()
+      .then(() => {
+
+        expect(instance.pendingOperations.size).to.equal(0);
+        return expect(calls).to.deep.equal(['hook', 'flush']);
+      });
+  });
+
+  it('should flush and close the provider on close', (done) => {
+
+    const calls = [];
+    const instance = createInstance(calls);
+
+    instance.close(() => {
+
+      expect(instance.isClosed).to.equal(true);
+      expect(calls).to.deep.equal(['flush', 'close']);
+      done();
+    });
+  });
+
+  it('should disable hooks once closed', () => {
+
+    const calls = [];
+    const instance = createInstance(calls);
+    const schema = new mongoose.Schema({name: String});
+
+    instance.updateDoc = () => {
+      calls.push('update');
+      return Bluebird.resolve();
+    };
+
+    instance.registerHooks(schema);
+
+    const ShutdownCat = mongoose.model('ShutdownCat', schema);
+
+    return instance.close()
+      .then(() => ShutdownCat.hooks.execPost('save', new ShutdownCat(), [new ShutdownCat()]))
+      .then(() => {
+        return expect(calls).to.deep.equal(['flush', 'close']);
+      });
+  });
+});
+
+/**
+ * Outbox
+ *
+ */
+
+describe('Plugin - Outbox', function() {
+
+  function createOutbox(entries) {
+
+    const store = {
+      added: [],
+      acked: [],
+      released: [],
+      add: (entries, session) => {
+        store.added.push({entries, session});
+        return Bluebird.resolve();
+      },
+      claim: () => Bluebird.resolve(entries.splice(0, entries.length)),
+      ack: (ids) => {
+        store.acked.push.apply(store.acked, ids);
+        return Bluebird.resolve();
+      },
+      release: (ids, retryAt) => {
+        store.released.push({ids, retryAt});
+        return Bluebird.resolve();
+      }
+    };
+
+    return store;
+  }
+
+  it('should throw InvalidArgumentError if outbox options are not valid', () => {
+
+    expect(() => plugin.create({outbox: {add: () => null}}))
+      .to.throw(errors.InvalidArgumentError);
+
+    return expect(() => plugin.create({outbox: createOutbox([]), outboxBatchSize: 'abc'}))
+      .to.throw(errors.InvalidArgumentError);
+  });
+
+  it('should add locked intents before saving and release them afterwards', () => {
+
+    const store = createOutbox([]);
+    const instance = plugin.create({outbox: store, outboxLockTimeout: 10000});
+    const schema = new mongoose.Schema({name: String});
+
+    instance.updateDoc = () => Bluebird.reject(new Error('not-expected'));
+    instance.registerHooks(schema);
+
+    const OutboxCat = mongoose.model('OutboxCat', schema);
+    const cat = new OutboxCat({name: 'Bob'});
+
+    return instance.registerModel(OutboxCat)
+      .then(() => OutboxCat.hooks.execPre('save', cat))
+      .then(() => {
+
+        const entry = store.added[0].entries[0];
+
+        expect(store.added).to.have.length(1);
+        expect(store.added[0].session).to.equal(null);
+        expect(_.pick(entry, 'model', 'id', 'operation'))
+          .to.deep.equal({model: 'OutboxCat', id: cat._id, operation: 'index'});
+        expect(entry.lockedUntil.getTime()).to.be.above(Date.now() + 5000);
+        expect(store.released).to.have.length(0);
+
+        return OutboxCat.hooks.execPost('save', cat, [cat]);
+      })
+      .then(() => instance.flush())
+      .then(() => {
+
+        expect(store.released).to.have.length(1);
+        return expect(store.released[0].ids).to.deep.equal([store.added[0].entries[0]._id]);
+      });
+  });
+
+  it('should fail writes if intents can not be added', () => {
+
+    const store = createOutbox([]);
+    const instance = plugin.create({outbox: store});
+    const schema = new mongoose.Schema({name: String});
+    const error = new Error('moo');
+
+    store.add = () => Bluebird.delay(1).throw(error);
+    instance.registerHooks(schema);
+
+    const FailedOutboxCat = mongoose.model('FailedOutboxCat', schema);
+    const cat = new FailedOutboxCat({name: 'Bob'});
+
+    return instance.registerModel(FailedOutboxCat)
+      .then(() => {
+        return expect(FailedOutboxCat.hooks.execPre('save', cat)).to.be.rejectedWith(error);
+      });
+  });
+
+  it('should assign ids and add intents before inserting documents', () => {
+
+    const store = createOutbox([]);
+    const instance = plugin.create({outbox: store});
+    const schema = new mongoose.Schema({name: String});
+    const docs = [{name: 'Bob'}, {name: 'Tom'}];
+
+    instance.indexDocsById = () => Bluebird.reject(new Error('not-expected'));
+    instance.registerHooks(schema);
+
+    const InsertedOutboxCat = mongoose.model('InsertedOutboxCat', schema);
+
+    return instance.registerModel(InsertedOutboxCat)
+      .then(() => InsertedOutboxCat._middleware.execPre('insertMany', InsertedOutboxCat, [docs]))
+      .then(() => {
+
+        const entries = store.added[0].entries;
+
+        expect(docs[0]._id).to.be.an.instanceof(mongoose.Types.ObjectId);
+        expect(_.pluck(entries, 'id')).to.deep.equal(_.pluck(docs, '_id'));
+
+        const inserted = [new InsertedOutboxCat(docs[1]), new InsertedOutboxCat(docs[0])];
+        return InsertedOutboxCat._middleware
+          .execPost('insertMany', InsertedOutboxCat, [inserted]);
+      })
+      .then(() => instance.flush())
+      .then(() => {
+
+        const entries = store.added[0].entries;
+
+        return expect(store.released[0].ids).to.deep.equal([entries[1]._id, entries[0]._id]);
+      });
+  });
+
+  it('should acknowledge delivered and release failed intents', () => {
+
+    const error = new Error('moo');
+    const events = [];
+    const store = createOutbox([
+      {_id: 1, model: 'Cat', id: '123', operation: 'index', attempts: 1},
+      {_id: 2, model: 'Cat', id: '456', operation: 'delete', attempts: 3}
+    ]);
+
+    const instance = plugin.create({outbox: store, outboxInterval: 1000});
+
+    instance.deliverIntent = (entry) => {
+      return entry._id === 1 ? Bluebird.resolve() : Bluebird.reject(error);
+    };
+
+    instance.on('error', (event) => events.push(event));
+
+    return expect(instance.drainOutbox())
+      .to.eventually.equal(1)
+      .then(() => {
+
+        expect(store.acked).to.deep.equal([1]);
+        expect(store.released).to.have.length(1);
+        expect(store.released[0].ids).to.deep.equal([2]);
+        expect(store.released[0].retryAt.getTime()).to.be.above(Date.now() + 3000);
+
+        return expect(events).to.deep.equal([
+          {model: 'Cat', id: '456', operation: 'delete', error}
+        ]);
+      });
+  });
+
+  it('should stop the outbox worker on close', () => {
+
+    const store = createOutbox([]);
+    const instance = plugin.create({outbox: store, outboxInterval: 10});
+
+    instance.es.close = () => null;
+    instance.startOutbox();
+
+    expect(instance.isOutboxRunning).to.equal(true);
+
+    return instance.close()
+      .then(() => {
+
+        expect(instance.isOutboxRunning).to.equal(false);
+        return expect(instance.outboxTimer).to.equal(null);
+      });
+  });
+});
+
+/**
+ * Dead letters
+ *
+ */
+
+describe('Plugin - Dead letters', function() {
+
+  it('should keep dead letters in MongoDB if enabled', () => {
+
+    const instance = plugin.create({deadLetter: true});
+
+    expect(instance.es.deadLetter.collection.collectionName).to.equal('mongoolastic_dead_letters');
+    return expect(plugin.create().es.deadLetter).to.equal(null);
+  });
+
+  it('should replay dead letters', () => {
+
+    const action = {index: {_index: testIndex, _type: 'Cat', _id: '123'}};
+    const deadLetters = [{_id: 1, action, doc: {name: 'Bob'}}];
+    const requests = [];
+
+    const instance = plugin.create({
+      bulkTimeout: 10,
+      deadLetter: {
+        add: () => Bluebird.resolve(),
+        list: () => Bluebird.resolve(deadLetters),
+        remove: (ids) => {
+          deadLetters.splice(0, ids.length);
+          return Bluebird.resolve();
+        }
+      }
+    });
+
+    instance.es.client = {
+      bulk: (params, callback) => {
+        requests.push(params.body);
+        setTimeout(() => callback(null, {items: [{index: {status: 201}}]}), 0);
+      }
+    };
+
+    return expect(instance.replayDeadLetters())
+      .to.eventually.equal(1)
+      .then(() => instance.flush())
+      .then(() => {
+
+        expect(deadLetters).to.have.length(0);
+        return expect(requests).to.deep.equal([[action, {name: 'Bob'}]]);
+      });
+  });
+});
+
+/**
+ * Watch
+ *
+ */
+
+describe('Plugin - Watch', function() {
+
+  const WatchSchema = new mongoose.Schema({name: String});
+
+  function createInstance(calls) {
+
+    const instance = plugin.create();
+
+    instance.indexDoc = (doc) => {
+      calls.push(['index', doc.name]);
+      return Bluebird.resolve();
+    };
+
+    instance.unindexDoc = (id, type) => {
+      calls.push(['delete', id, type]);
+      return Bluebird.resolve();
+    };
+
+    instance.updateDoc = () => {
+      calls.push(['update']);
+      return Bluebird.resolve();
+    };
+
+    return instance;
+  }
+
+  const WatchCat = mongoose.model('WatchCat', WatchSchema);
+
+  it('should throw InvalidArgumentError if the checkpoint store is not valid', () => {
+
+    return expect(plugin.create().watch({checkpoint: {get: () => null}}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should index inserted and updated and remove deleted documents', () => {
+
+    const calls = [];
+    const instance = createInstance(calls);
+    const id = new mongoose.Types.ObjectId();
+
+    return instance.registerModel(WatchCat)
+      .then(() => {
+
+        return Bluebird.each([
+          {operationType: 'insert', documentKey: {_id: id}, fullDocument: {_id: id, name: 'Bob'}},
+          {operationType: 'update', documentKey: {_id: id}, fullDocument: null},
+          {operationType: 'delete', documentKey: {_id: id}},
+          {operationType: 'drop'}
+        ], (change) => instance.applyChange(WatchCat, change));
+      })
+      .then(() => {
+
+        return expect(calls).to.deep.equal([
+          ['index', 'Bob'],
+          ['delete', id.toString(), 'WatchCat']
+        ]);
+      });
+  });
+
+  it('should not index in hooks while watching', () => {
+
+    const calls = [];
+    const instance = createInstance(calls);
+    const schema = new mongoose.Schema({name: String});
+
+    instance.registerHooks(schema);
+    instance.isWatching = true;
+
+    const UnhookedCat = mongoose.model('UnhookedCat', schema);
+    const cat = new UnhookedCat({name: 'Bob'});
+
+    return UnhookedCat.hooks.execPost('save', cat, [cat])
+      .then(() => {
+        return expect(calls).to.deep.equal([]);
+      });
+  });
+
+  // Change stream of a collection with the supplied changes,
+  // which starts after the change of the resume token
+  function createWatchModel(modelName, changes, opened) {
+
+    const collection = {
+      watch: (pipeline, options) => {
+
+        const tokens = _.pluck(changes, '_id');
+        let position = options.resumeAfter ? tokens.indexOf(options.resumeAfter) + 1 : 0;
+
+        opened.push(options.resumeAfter);
+
+        return {
+          resumeToken: null,
+          tryNext: () => Bluebird.delay(1).then(() => changes[position++] || null),
+          close: () => Bluebird.resolve()
+        };
+      }
+    };
+
+    return {modelName, db: {readyState: 1}, collection};
+  }
+
+  it('should retry failed changes after the last applied change', () => {
+
+    const instance = plugin.create();
+    const changes = [{_id: 't1'}, {_id: 't2'}, {_id: 't3'}];
+    const opened = [];
+    const applied = [];
+
+    instance.applyChange = (model, change) => {
+
+      applied.push(change._id);
+
+      if (change._id === 't2' && applied.length === 2) {
+        return Bluebird.delay(1).throw(new Error('apply'));
+      }
+
+      return Bluebird.resolve();
+    };
+
+    instance.isWatching = true;
+
+    const model = createWatchModel('RetriedCat', changes, opened);
+
+    return instance.watchModel(model, null, {retries: 1, retryDelay: 1})
+      .delay(50)
+      .then(() => {
+
+        expect(opened).to.deep.equal([undefined, 't1']);
+        expect(applied).to.deep.equal(['t1', 't2', 't2', 't3']);
+        expect(instance.getWatchErrors()).to.deep.equal([]);
+
+        return instance.unwatch();
+      });
+  });
+
+  it('should activate the hooks of a model once watching it has failed', () => {
+
+    const calls = [];
+    const instance = createInstance(calls);
+    const schema = new mongoose.Schema({name: String});
+    const error = new Error('apply');
+
+    instance.registerHooks(schema);
+    instance.isWatching = true;
+
+    const FailedWatchCat = mongoose.model('FailedWatchCat', schema);
+    const cat = new FailedWatchCat({name: 'Bob'});
+
+    instance.applyChange = (model, change) => {
+      return change._id === 't2' ? Bluebird.delay(1).throw(error) : Bluebird.resolve();
+    };
+
+    const model = createWatchModel('FailedWatchCat', [{_id: 't1'}, {_id: 't2'}], []);
+
+    return instance.registerModel(FailedWatchCat)
+      .then(() => instance.watchModel(model, null, {retries: 0, retryDelay: 1}))
+      .delay(20)
+      .then(() => {
+
+        expect(instance.getWatchErrors()).to.deep.equal([{model: 'FailedWatchCat', error}]);
+        expect(instance.isWatchingModel('FailedWatchCat')).to.equal(false);
+
+        return FailedWatchCat.hooks.execPost('save', cat, [cat]);
+      })
+      .then(() => {
+
+        expect(calls).to.deep.equal([['update']]);
+        return instance.unwatch();
+      });
+  });
+});
+
+/**
+ * Watch on a replica set
+ *
+ */
+
+describe('Plugin - Watch replica set', function() {
+
+  // Change streams require a replica set, e.g. a local
+  // mongod --replSet rs0 initiated with rs.initiate()
+  const replicaSet = process.env.MONGO_REPLICA_SET ||
+    'mongodb://localhost:27017/mongoolastic-test?replicaSet=rs0';
+
+  const connection = mongoose.createConnection(replicaSet);
+  const ReplicaCat = connection.model('ReplicaCat', new mongoose.Schema({name: String}));
+  const instance = plugin.create();
+  const type = ReplicaCat.modelName;
+
+  const tokens = new Map();
+  const store = {
+    get: (key) => Bluebird.resolve(tokens.get(key)),
+    set: (key, token) => Bluebird.resolve(tokens.set(key, token)),
+    clear: (key) => Bluebird.resolve(tokens.delete(key))
+  };
+
+  function waitFor(check) {
+
+    return Bluebird.resolve(check())
+      .then((isDone) => {
+        return isDone ? null : Bluebird.delay(clientTimeout).then(() => waitFor(check));
+      });
+  }
+
+  function isIndexed(id) {
+    return instance.es.docExists(id.toString(), type, testIndex);
+  }
+
+  this.timeout(10000);
+
+  before(() => {
+
+    return instance.registerModel(ReplicaCat)
+      .then(() => instance.connect(host, testIndex));
+  });
+
+  after(() => {
+
+    return instance.close()
+      .then(() => connection.close());
+  });
+
+  it('should index writes of raw driver calls', () => {
+
+    const id = new mongoose.Types.ObjectId();
+
+    return expect(instance.watch({checkpoint: store}))
+      .to.eventually.be.fulfilled
+      .then(() => ReplicaCat.collection.insertOne({_id: id, name: 'Bob'}))
+      .then(() => waitFor(() => isIndexed(id)))
+      .then(() => ReplicaCat.collection.deleteOne({_id: id}))
+      .then(() => waitFor(() => isIndexed(id).then((exists) => !exists)))
+      .then(() => {
+        return expect(tokens.has('watch:ReplicaCat')).to.equal(true);
+      });
+  });
+
+  it('should resume with the stored resume token without gaps', () => {
+
+    const id = new mongoose.Types.ObjectId();
+
+    return instance.unwatch()
+      .then(() => ReplicaCat.collection.insertOne({_id: id, name: 'Tom'}))
+      .then(() => instance.watch({checkpoint: store}))
+      .then(() => waitFor(() => isIndexed(id)));
+  });
+});
+
+/**
+ * Verify
+ *
+ */
+
+describe('Plugin - Verify', function() {
+
+  const VerifiedCat = mongoose.model('VerifiedCat', new mongoose.Schema({
+    name: String
+  }, {timestamps: true}));
+
+  const instance = plugin.create();
+  const cats = [
+    new VerifiedCat({name: 'Bob'}),
+    new VerifiedCat({name: 'Tom'}),
+    new VerifiedCat({name: 'Kit'})
+  ];
+
+  this.timeout(10000);
+
+  it('should throw InvalidArgumentError or ModelNotFoundError if arguments are invalid', () => {
+
+    return expect(instance.verify(123))
+      .to.be.rejectedWith(errors.InvalidArgumentError)
+      .then(() => {
+
+        return expect(instance.verify(VerifiedCat))
+          .to.be.rejectedWith(errors.ModelNotFoundError);
+      })
+      .then(() => instance.registerModel(VerifiedCat))
+      .then(() => {
+
+        return expect(instance.verify(VerifiedCat, {batchSize: 'abc'}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should compare the versions of documents with one request per batch', () => {
+
+    const updatedAt = new Date();
+    const cat = VerifiedCat.hydrate({_id: cats[0]._id, name: 'Bob', updatedAt});
+    const missingCat = VerifiedCat.hydrate({_id: cats[1]._id, name: 'Tom', updatedAt});
+    const requests = [];
+    const es = elasticsearch.create();
+    const verify = {
+      type: 'VerifiedCat',
+      index: testIndex,
+      version: 'updatedAt',
+      concurrency: 1,
+      missing: [],
+      stale: [],
+      orphaned: []
+    };
+
+    let indexedAt = updatedAt;
+
+    es.getDocs = (docs, type, index, options) => {
+
+      requests.push({ids: _.pluck(docs, 'id'), source: options.source});
+
+      return Bluebird.resolve([
+        {_id: cat.id, found: true, _source: {updatedAt: indexedAt.toISOString()}},
+        {_id: missingCat.id, found: false}
+      ]);
+    };
+
+    const verifying = plugin.create();
+    verifying.es = es;
+
+    return verifying.verifyDocs([cat, missingCat], verify)
+      .then(() => {
+
+        expect(verify.stale).to.deep.equal([]);
+        expect(verify.missing).to.deep.equal([missingCat.id]);
+
+        indexedAt = new Date(0);
+        return verifying.verifyDocs([cat, missingCat], verify);
+      })
+      .then(() => {
+
+        expect(requests).to.deep.equal([
+          {ids: [cat.id, missingCat.id], source: ['updatedAt']},
+          {ids: [cat.id, missingCat.id], source: ['updatedAt']}
+        ]);
+
+        return expect(verify.stale).to.deep.equal([cat.id]);
+      });
+  });
+
+  it('should report and repair missing, stale and orphaned documents', () => {
+
+    const updatedAt = new Date(Date.now() + 60000);
+
+    return instance.connect(host, testIndex)
+      .then(() => VerifiedCat.create([cats[0], cats[1]]))
+      .then(() => instance.flush())
+      .then(() => {
+
+        // Writes that bypass the hooks
+        return Bluebird.all([
+          VerifiedCat.collection.insertOne(cats[2].toObject()),
+          VerifiedCat.collection.updateOne({_id: cats[0]._id}, {$set: {updatedAt}}),
+          VerifiedCat.collection.deleteOne({_id: cats[1]._id})
+        ]);
+      })
+      .delay(1000)
+      .then(() => instance.verify(VerifiedCat, {repair: true}))
+      .then((res) => {
+
+        expect(res).to.deep.equal({
+          checked: 2,
+          missing: [cats[2].id],
+          stale: [cats[0].id],
+          orphaned: [cats[1].id]
+        });
+      })
+      .delay(1000)
+      .then(() => {
+
+        return expect(instance.verify(VerifiedCat))
+          .to.eventually.deep.equal({checked: 2, missing: [], stale: [], orphaned: []});
+      });
+  });
+});
+
+/**
+ * Versions
+ *
+ */
+
+describe('Plugin - Versions', function() {
+
+  const VersionedCat = mongoose.model('VersionedCat', new mongoose.Schema({
+    name: String
+  }, {timestamps: true}));
+
+  it('should throw InvalidArgumentError if the version is not valid', () => {
+
+    return expect(plugin.create().registerModel(VersionedCat, {version: 123}))
+      .to.be.rejectedWith(errors.InvalidArgumentError);
+  });
+
+  it('should only accept the version key with optimistic concurrency', () => {
+
+    const schema = new mongoose.Schema({name: String}, {optimisticConcurrency: true});
+    const ConcurrentCat = mongoose.model('ConcurrentCat', schema);
+
+    return expect(plugin.create().registerModel(VersionedCat, {version: '__v'}))
+      .to.be.rejectedWith(errors.InvalidArgumentError)
+      .then(() => {
+
+        return expect(plugin.create().registerModel(ConcurrentCat, {version: '__v'}))
+          .to.eventually.be.fulfilled;
+      });
+  });
+
+  it('should not emit indexed events for writes skipped due to a version conflict', () => {
+
+    const instance = plugin.create();
+    const cat = VersionedCat.hydrate({_id: new mongoose.Types.ObjectId(), name: 'Bob'});
+    const events = [];
+
+    instance.es.indexDoc = () => Bluebird.resolve(null);
+    instance.on('indexed', (event) => events.push(event));
+
+    return instance.registerModel(VersionedCat, {version: (doc) => doc.name.length})
+      .then(() => instance.indexDoc(cat, false))
+      .then(() => {
+        return expect(events).to.deep.equal([]);
+      });
+  });
+
+  it('should index documents with their external version', () => {
+
+    const instance = plugin.create();
+    const updatedAt = new Date();
+    const cat = VersionedCat.hydrate({_id: new mongoose.Types.ObjectId(), name: 'Bob', updatedAt});
+    const requests = [];
+
+    instance.es.indexDoc = (id, doc, type, index, useBulk, options) => {
+      requests.push(options);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(VersionedCat, {version: 'updatedAt'})
+      .then(() => instance.indexDoc(cat, true, {opType: 'create'}))
+      .then(() => instance.registerModel(VersionedCat, {version: (doc) => doc.name.length}))
+      .then(() => instance.indexDoc(cat, true))
+      .then(() => {
+
+        expect(requests[0]).to.not.have.property('opType');
+        return expect(_.pluck(requests, 'version')).to.deep.equal([updatedAt.getTime(), 3]);
+      });
+  });
+
+  it('should not emit indexed events for bulk writes skipped due to a version conflict', () => {
+
+    const instance = plugin.create();
+    const action = {index: {_index: testIndex, _type: 'VersionedCat', _id: '1', version: 1,
+      version_type: 'external'}};
+    const operations = [{action, doc: {name: 'Bob'}}];
+    const events = [];
+
+    instance.on('indexed', (event) => events.push(event));
+    instance.on('bulk-flushed', (event) => events.push(event));
+
+    const result = instance.es.handleBulkResult(operations, null, {
+      items: [{index: {status: 409, error: {type: 'version_conflict_engine_exception'}}}]
+    });
+
+    instance.es.emit('flushed', _.assign({operations, response: null, error: null}, result));
+
+    return expect(events).to.deep.equal([{
+      operation: 'bulk',
+      count: 1,
+      written: 0,
+      skipped: 1,
+      retried: 0,
+      failed: 0,
+      error: null
+    }]);
+  });
+
+  it('should remove documents with their external version', () => {
+
+    const instance = plugin.create();
+    const updatedAt = new Date();
+    const cat = VersionedCat.hydrate({_id: new mongoose.Types.ObjectId(), name: 'Bob', updatedAt});
+    const requests = [];
+    const events = [];
+
+    // The indexed document is newer
+    instance.es.deleteDoc = (id, type, index, useBulk, options) => {
+      requests.push(options.version);
+      return Bluebird.resolve(null);
+    };
+
+    instance.on('removed', (event) => events.push(event));
+
+    return instance.registerModel(VersionedCat, {version: 'updatedAt'})
+      .then(() => instance.removeDoc(cat))
+      .then(() => instance.unindexDoc(cat.id, 'VersionedCat', testIndex, false, {
+        routing: null,
+        version: 5
+      }))
+      .then(() => {
+
+        expect(requests).to.deep.equal([updatedAt.getTime(), 5]);
+        return expect(events).to.deep.equal([]);
+      });
+  });
+});
+
+/**
+ * Refresh
+ *
+ */
+
+describe('Plugin - Refresh', function() {
+
+  const RefreshedCat = mongoose.model('RefreshedCat', new mongoose.Schema({name: String}));
+
+  it('should throw InvalidArgumentError if the refresh policy is not valid', () => {
+
+    return expect(plugin.create().registerModel(RefreshedCat, {refresh: 'now'}))
+      .to.be.rejectedWith(errors.InvalidArgumentError)
+      .then(() => {
+
+        return expect(plugin.create().sync(RefreshedCat, {refresh: 'now'}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should index with the refresh policy of the call or the model', () => {
+
+    const instance = plugin.create();
+    const cat = new RefreshedCat({name: 'Bob'});
+    const requests = [];
+
+    instance.es.indexDoc = (id, doc, type, index, useBulk, options) => {
+      requests.push(options.refresh);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(RefreshedCat, {refresh: 'wait_for'})
+      .then(() => instance.indexDoc(cat, true))
+      .then(() => instance.indexDoc(cat, true, {refresh: false}))
+      .then(() => {
+        return expect(requests).to.deep.equal(['wait_for', false]);
+      });
+  });
+
+  it('should remove with the refresh policy of the call or the model', () => {
+
+    const instance = plugin.create();
+    const cat = new RefreshedCat({name: 'Bob'});
+    const requests = [];
+
+    instance.es.deleteDoc = (id, type, index, useBulk, options) => {
+      requests.push(options.refresh);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(RefreshedCat, {refresh: 'wait_for'})
+      .then(() => instance.removeDoc(cat))
+      .then(() => instance.removeDoc(cat, {refresh: true}))
+      .then(() => instance.removeDocsById(RefreshedCat, [cat._id]))
+      .then(() => {
+        return expect(requests).to.deep.equal(['wait_for', true, 'wait_for']);
+      });
+  });
+});
+
+/**
+ * Routing
+ *
+ */
+
+describe('Plugin - Routing', function() {
+
+  const RoutedCat = mongoose.model('RoutedCat', new mongoose.Schema({
+    name: String,
+    tenant: String
+  }));
+
+  const JoinedPost = mongoose.model('JoinedPost', new mongoose.Schema({title: String}));
+  const JoinedComment = mongoose.model('JoinedComment', new mongoose.Schema({
+    text: String,
+    post: {type: mongoose.Schema.Types.ObjectId, ref: 'JoinedPost'}
+  }));
+
+  const join = {parent: 'JoinedPost', path: 'post'};
+
+  it('should throw InvalidArgumentError if routing or join are not valid', () => {
+
+    const instance = plugin.create();
+
+    return expect(plugin.create().registerModel(RoutedCat, {routing: 1}))
+      .to.be.rejectedWith(errors.InvalidArgumentError)
+      .then(() => {
+
+        // The parent model has to be registered first
+        return expect(instance.registerModel(JoinedComment, {join}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      })
+      .then(() => instance.registerModel(JoinedPost))
+      .then(() => {
+
+        return expect(instance.registerModel(JoinedComment, {join: {parent: 'JoinedPost'}}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      })
+      .then(() => {
+
+        const selfJoin = _.assign({}, join, {parent: 'JoinedComment'});
+
+        return expect(instance.registerModel(JoinedComment, {join: selfJoin}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      })
+      .then(() => {
+
+        return expect(instance.registerModel(JoinedComment, {join, index: 'other-index'}))
+          .to.be.rejectedWith(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should pass the routing of a path or function to all document operations', () => {
+
+    const instance = plugin.create();
+    const cat = new RoutedCat({name: 'Bob', tenant: 'tenant-1'});
+    const requests = [];
+    const request = function() {
+      requests.push(_.last(arguments).routing);
+      return Bluebird.resolve({});
+    };
+
+    instance.es.indexDoc = request;
+    instance.es.getDoc = request;
+    instance.es.deleteDoc = request;
+
+    return instance.registerModel(RoutedCat, {routing: 'tenant'})
+      .then(() => instance.indexDoc(cat, false))
+      .then(() => instance.getDoc(cat))
+      .then(() => instance.removeDoc(cat))
+      .then(() => instance.registerModel(RoutedCat, {routing: (doc) => doc.name}))
+      .then(() => instance.indexDoc(cat, false))
+      .then(() => {
+        return expect(requests).to.deep.equal(['tenant-1', 'tenant-1', 'tenant-1', 'Bob']);
+      });
+  });
+
+  it('should map children with _parent and index them with their parent', () => {
+
+    const instance = plugin.create();
+    const post = new JoinedPost({title: 'Hello'});
+    const comment = new JoinedComment({text: 'Hi', post: post._id});
+    const requests = [];
+
+    instance.es.indexDoc = (id, doc, type, index, useBulk, options) => {
+      requests.push(_.pick(options, 'routing', 'parent'));
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(JoinedPost)
+      .then(() => instance.registerModel(JoinedComment, {join}))
+      .then(() => {
+
+        const mappings = instance.getMappings();
+
+        expect(mappings.JoinedPost._parent).to.equal(undefined);
+        expect(mappings.JoinedComment._parent).to.deep.equal({type: 'JoinedPost'});
+        expect(mappings.JoinedComment.properties.text).to.be.an('object');
+
+        return instance.indexDoc(post, false);
+      })
+      .then(() => instance.indexDoc(comment, false))
+      .then(() => {
+
+        return expect(requests).to.deep.equal([
+          {routing: undefined, parent: undefined},
+          {routing: post.id, parent: post.id}
+        ]);
+      });
+  });
+
+  it('should build has_child and has_parent queries', () => {
+
+    const instance = plugin.create();
+    const query = {match: {text: 'hi'}};
+
+    return instance.registerModel(JoinedPost)
+      .then(() => instance.registerModel(JoinedComment, {join}))
+      .then(() => {
+
+        expect(instance.hasChild(JoinedComment, query, {score_mode: 'max'}))
+          .to.deep.equal({has_child: {type: 'JoinedComment', query, score_mode: 'max'}});
+
+        expect(instance.hasParent('JoinedPost', query))
+          .to.deep.equal({has_parent: {parent_type: 'JoinedPost', query}});
+
+        expect(() => instance.hasChild(JoinedPost, query))
+          .to.throw(errors.InvalidArgumentError);
+
+        return expect(() => instance.hasParent(JoinedComment, query))
+          .to.throw(errors.InvalidArgumentError);
+      });
+  });
+
+  it('should remove documents by id with their captured routing', () => {
+
+    const instance = plugin.create();
+    const id = new mongoose.Types.ObjectId().toString();
+    const requests = [];
+
+    instance.es.search = () => Bluebird.reject(new Error('search'));
+    instance.es.deleteDoc = (id, type, index, useBulk, options) => {
+      requests.push(options.routing);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(RoutedCat, {routing: 'tenant'})
+      .then(() => instance.removeDocsById(RoutedCat, [id], new Map([[id, 'tenant-1']])))
+      .then(() => {
+        return expect(requests).to.deep.equal(['tenant-1']);
+      });
+  });
+
+  it('should remove documents with the routing of deleted documents', () => {
+
+    const schema = new mongoose.Schema({name: String, tenant: String});
+    const DeletedRoutedCat = mongoose.model('DeletedRoutedCat', schema);
+    const instance = plugin.create();
+    const cat = new DeletedRoutedCat({name: 'Bob', tenant: 'tenant-1'});
+    const query = {model: DeletedRoutedCat, getOptions: () => ({})};
+    const change = {
+      operationType: 'delete',
+      documentKey: {_id: cat._id},
+      fullDocumentBeforeChange: {_id: cat._id, name: 'Bob', tenant: 'tenant-2'}
+    };
+    const requests = [];
+
+    instance.es.deleteDoc = (id, type, index, useBulk, options) => {
+      requests.push(options.routing);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(DeletedRoutedCat, {routing: 'tenant'})
+      .then(() => schema.s.hooks.execPost('findOneAndDelete', query, [cat]))
+      .then(() => instance.flush())
+      .then(() => instance.applyChange(DeletedRoutedCat, change))
+      .then(() => {
+        return expect(requests).to.deep.equal(['tenant-1', 'tenant-2']);
+      });
+  });
+
+  it('should capture the routing of documents deleted by queries', function() {
+
+    this.timeout(30000);
+
+    const schema = new mongoose.Schema({name: String, tenant: String});
+    const QueriedRoutedCat = mongoose.model('QueriedRoutedCat', schema);
+    const instance = plugin.create();
+    const requests = [];
+
+    instance.es.indexDoc = () => Bluebird.resolve();
+    instance.es.deleteDoc = (id, type, index, useBulk, options) => {
+      requests.push(options.routing);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(QueriedRoutedCat, {routing: 'tenant'})
+      .then(() => QueriedRoutedCat.create({name: 'Bob', tenant: 'tenant-1'}))
+      .then(() => QueriedRoutedCat.deleteMany({name: 'Bob'}).exec())
+      .then(() => instance.flush())
+      .then(() => {
+        return expect(requests).to.deep.equal(['tenant-1']);
+      });
+  });
+
+  it('should look up the routing of documents removed by id if it is unknown', () => {
+
+    const instance = plugin.create();
+    const id = new mongoose.Types.ObjectId().toString();
+    const requests = [];
+
+    instance.es.search = (query) => {
+
+      requests.push(query.body.query);
+      return Bluebird.resolve({hits: {hits: [{_id: id, _routing: 'tenant-1'}]}});
+    };
+
+    instance.es.deleteDoc = (id, type, index, useBulk, options) => {
+      requests.push(options.routing);
+      return Bluebird.resolve();
+    };
+
+    return instance.registerModel(RoutedCat, {routing: 'tenant'})
+      .then(() => instance.removeDocsById(RoutedCat, [id]))
+      .then(() => {
+        return expect(requests).to.deep.equal([{ids: {values: [id]}}, 'tenant-1']);
+      });
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const Bluebird = require('bluebird');
+const scrollIterator = require('../lib/scroll');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Test data
+ *
+ */
+
+const pages = [
+  [{_id: '1'}, {_id: '2'}],
+  [{_id: '3'}],
+  []
+];
+
+function createProvider() {
+
+  const es = {
+    cleared: [],
+    searches: [],
+    search: (query) => {
+      es.searches.push(query);
+      return Bluebird.resolve({_scroll_id: 'scroll-0', hits: {hits: pages[0]}});
+    },
+    scroll: (scrollId) => {
+      const page = parseInt(scrollId.split('-')[1], 10) + 1;
+      return Bluebird.resolve({_scroll_id: 'scroll-' + page, hits: {hits: pages[page]}});
+    },
+    clearScroll: (scrollId) => {
+      es.cleared.push(scrollId);
+      return Bluebird.resolve();
+    }
+  };
+
+  return es;
+}
+
+function readAll(iterator, hits) {
+
+  return iterator.next()
+    .then((res) => {
+
+      if (res.done) {
+        return hits;
+      }
+
+      hits.push(res.value);
+      return readAll(iterator, hits);
+    });
+}
+
+/**
+ * Iterator
+ *
+ */
+
+describe('Scroll - Iterator', () => {
+
+  it('should iterate all hits of all pages', () => {
+
+    const es = createProvider();
+    const iterator = scrollIterator.create(es, {index: 'animals', body: {}}, '1m');
+
+    expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+
+    return expect(readAll(iterator, []))
+      .to.eventually.deep.equal([{_id: '1'}, {_id: '2'}, {_id: '3'}])
+      .then(() => {
+
+        expect(es.searches).to.deep.equal([{scroll: '1m', index: 'animals', body: {}}]);
+        return expect(es.cleared).to.deep.equal(['scroll-2']);
+      });
+  });
+
+  it('should clear the scroll context when stopped early', () => {
+
+    const es = createProvider();
+    const iterator = scrollIterator.create(es, {}, '1m');
+
+    return expect(iterator.next())
+      .to.eventually.deep.equal({value: {_id: '1'}, done: false})
+      .then(() => iterator.return())
+      .then((res) => {
+
+        expect(res).to.deep.equal({value: undefined, done: true});
+        expect(es.cleared).to.deep.equal(['scroll-0']);
+
+        return expect(iterator.next())
+          .to.eventually.deep.equal({value: undefined, done: true});
+      });
+  });
+
+  it('should clear the scroll context if loading a page fails', () => {
+
+    const es = createProvider();
+    const iterator = scrollIterator.create(es, {}, '1m');
+
+    es.scroll = () => Bluebird.reject(new Error('scroll-failed'));
+
+    return expect(readAll(iterator, []))
+      .to.be.rejectedWith('scroll-failed')
+      .then(() => {
+        return expect(es.cleared).to.deep.equal(['scroll-0']);
+      });
+  });
+});
+
+/**
+ * Stream
+ *
+ */
+
+describe('Scroll - Stream', () => {
+
+  it('should stream all hits', (done) => {
+
+    const es = createProvider();
+    const hits = [];
+
+    scrollIterator.createStream(scrollIterator.create(es, {}, '1m'))
+      .on('data', (hit) => hits.push(hit))
+      .on('error', done)
+      .on('end', () => {
+
+        expect(hits).to.deep.equal([{_id: '1'}, {_id: '2'}, {_id: '3'}]);
+        done();
+      });
+  });
+
+  it('should clear the scroll context when destroyed', (done) => {
+
+    const es = createProvider();
+    const stream = scrollIterator.createStream(scrollIterator.create(es, {}, '1m'));
+
+    stream.once('data', () => stream.destroy());
+    stream.on('close', () => {
+
+      expect(es.cleared).to.deep.equal(['scroll-0']);
+      done();
+    });
+  });
+});